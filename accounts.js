@@ -0,0 +1,253 @@
+const path = require("path");
+const ejs = require("ejs");
+const bcrypt = require("bcrypt");
+
+const { db } = require("./db");
+const { sendMail, getAppUrl } = require("./mailer");
+const { deleteOrphanPhotos } = require("./feed");
+const { deleteChallenges } = require("./repositories");
+const {
+  createPasswordResetToken,
+  findPasswordResetToken,
+  consumePasswordResetToken,
+  createEmailVerificationToken,
+  findEmailVerificationToken,
+  consumeEmailVerificationToken,
+} = require("./tokens");
+
+const resetTemplatePath = path.join(__dirname, "views", "email_password_reset.ejs");
+const verifyTemplatePath = path.join(__dirname, "views", "email_verify_email.ejs");
+
+function getResetTtlMinutes() {
+  return Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+}
+
+function getVerificationTtlHours() {
+  return Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48);
+}
+
+// Shared by /perfil/senha and the reset form so both enforce the same rules.
+function validateNewPassword(newPassword, confirmPassword) {
+  if (!newPassword || !confirmPassword) {
+    return "Preencha todos os campos de senha.";
+  }
+  if (newPassword.length < 6) {
+    return "A nova senha deve ter pelo menos 6 caracteres.";
+  }
+  if (newPassword !== confirmPassword) {
+    return "A confirmação de senha não confere.";
+  }
+  return null;
+}
+
+async function sendPasswordResetEmail(user) {
+  const ttlMinutes = getResetTtlMinutes();
+  const token = createPasswordResetToken(user.id, ttlMinutes);
+  const resetLink = `${getAppUrl()}/redefinir-senha/${token}`;
+  const html = await ejs.renderFile(resetTemplatePath, { user, resetLink, ttlMinutes });
+  await sendMail({
+    to: user.email,
+    subject: "Redefinição de senha - Fitness Katello",
+    text: [
+      `Olá, ${user.name}!`,
+      "",
+      "Recebemos um pedido para redefinir a sua senha. Para escolher uma nova senha, acesse:",
+      resetLink,
+      "",
+      `O link vale por ${ttlMinutes} minutos e só pode ser usado uma vez.`,
+      "Se você não fez este pedido, ignore este email.",
+    ].join("\n"),
+    html,
+  });
+}
+
+// Silently ignores unknown emails so the form does not reveal who has an account.
+async function requestPasswordReset(email) {
+  const user = db.prepare("SELECT id, name, email FROM users WHERE email = ?").get(email);
+  if (user) {
+    await sendPasswordResetEmail(user);
+  }
+}
+
+async function resetPassword(token, newPassword, confirmPassword) {
+  const reset = findPasswordResetToken(token);
+  if (!reset) {
+    return { error: "Link de redefinição inválido ou expirado." };
+  }
+  const error = validateNewPassword(newPassword, confirmPassword);
+  if (error) {
+    return { error };
+  }
+
+  const passwordHash = await bcrypt.hash(newPassword, 10);
+  db.transaction(() => {
+    db.prepare("UPDATE users SET password_hash = ? WHERE id = ?").run(passwordHash, reset.user_id);
+    consumePasswordResetToken(reset.user_id);
+  })();
+  return { user: reset };
+}
+
+function isEmailVerified(userId) {
+  const user = db.prepare("SELECT email_verified_at FROM users WHERE id = ?").get(userId);
+  return Boolean(user && user.email_verified_at);
+}
+
+async function sendVerificationEmail(user) {
+  const ttlHours = getVerificationTtlHours();
+  const token = createEmailVerificationToken(user.id, ttlHours * 60);
+  const verifyLink = `${getAppUrl()}/verificar-email/${token}`;
+  const html = await ejs.renderFile(verifyTemplatePath, { user, verifyLink, ttlHours });
+  await sendMail({
+    to: user.email,
+    subject: "Confirme seu e-mail - Fitness Katello",
+    text: [
+      `Olá, ${user.name}!`,
+      "",
+      "Confirme que este e-mail é seu para poder participar de desafios:",
+      verifyLink,
+      "",
+      `O link vale por ${ttlHours} horas.`,
+      "Se você não criou uma conta, ignore este email.",
+    ].join("\n"),
+    html,
+  });
+}
+
+function markEmailVerified(userId) {
+  db.transaction(() => {
+    db.prepare(
+      "UPDATE users SET email_verified_at = ? WHERE id = ? AND email_verified_at IS NULL"
+    ).run(new Date().toISOString(), userId);
+    consumeEmailVerificationToken(userId);
+  })();
+}
+
+function verifyEmail(token) {
+  const verification = findEmailVerificationToken(token);
+  if (!verification) {
+    return null;
+  }
+  markEmailVerified(verification.user_id);
+  return verification;
+}
+
+// Removes the account and everything hanging off it, including challenges the
+// user created. Frozen results keep the name but lose the link to the account.
+function deleteUserAccount(userId) {
+  db.transaction(() => {
+    const challengeIds = db
+      .prepare("SELECT id FROM challenges WHERE creator_id = ?")
+      .all(userId)
+      .map((row) => row.id);
+
+    deleteChallenges(challengeIds);
+
+    db.prepare("UPDATE challenge_results SET user_id = NULL WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM api_tokens WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM recovery_codes WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM user_sessions WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM password_resets WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM email_verifications WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM user_badges WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM challenge_join_requests WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM challenge_removals WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM challenge_digest_deliveries WHERE user_id = ?").run(userId);
+    db.prepare("UPDATE challenge_removals SET removed_by = NULL WHERE removed_by = ?").run(userId);
+    db.prepare("UPDATE challenge_changes SET actor_id = NULL WHERE actor_id = ?").run(userId);
+    db.prepare("DELETE FROM exercise_log_audit WHERE user_id = ?").run(userId);
+    ["log_reactions", "log_comments"].forEach((table) => {
+      db.prepare(
+        `DELETE FROM ${table}
+         WHERE user_id = ? OR log_id IN (SELECT id FROM exercise_logs WHERE user_id = ?)`
+      ).run(userId, userId);
+    });
+    db.prepare("UPDATE exercise_logs SET reviewed_by = NULL WHERE reviewed_by = ?").run(userId);
+    db.prepare("DELETE FROM activity_photos WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM exercise_logs WHERE user_id = ?").run(userId);
+    deleteOrphanPhotos();
+    db.prepare("DELETE FROM challenge_participants WHERE user_id = ?").run(userId);
+    db.prepare("DELETE FROM users WHERE id = ?").run(userId);
+  })();
+}
+
+function exportUserData(userId) {
+  const user = db
+    .prepare(
+      `SELECT id, name, email, role, goal_exercises, email_verified_at, created_at
+       FROM users WHERE id = ?`
+    )
+    .get(userId);
+  return {
+    exportedAt: new Date().toISOString(),
+    user,
+    createdChallenges: db
+      .prepare(
+        `SELECT id, title, description, start_date, end_date, goal_count, group_goal, metric,
+                scoring_mode, scoring_config, prize, penalty, status, closed_at, created_at
+         FROM challenges WHERE creator_id = ? ORDER BY id`
+      )
+      .all(userId),
+    participations: db
+      .prepare(
+        `SELECT c.id AS challenge_id, c.title, cp.joined_at, cp.digest_opt_in
+         FROM challenge_participants cp
+         JOIN challenges c ON c.id = cp.challenge_id
+         WHERE cp.user_id = ? ORDER BY cp.joined_at`
+      )
+      .all(userId),
+    activities: db
+      .prepare(
+        `SELECT activity_id, challenge_id, activity, activity_type_id, amount, unit, logged_on, created_at
+         FROM exercise_logs WHERE user_id = ? ORDER BY logged_on, id`
+      )
+      .all(userId),
+    activityAudit: db
+      .prepare(
+        `SELECT activity_id, challenge_id, action, before_json, after_json, created_at
+         FROM exercise_log_audit WHERE user_id = ? ORDER BY id`
+      )
+      .all(userId),
+    comments: db
+      .prepare(
+        `SELECT challenge_id, log_id, body, created_at
+         FROM log_comments WHERE user_id = ? ORDER BY id`
+      )
+      .all(userId),
+    reactions: db
+      .prepare(
+        `SELECT challenge_id, log_id, emoji, created_at
+         FROM log_reactions WHERE user_id = ? ORDER BY id`
+      )
+      .all(userId),
+    results: db
+      .prepare(
+        `SELECT challenge_id, position, total, goal_met, is_winner, outcome, created_at
+         FROM challenge_results WHERE user_id = ? ORDER BY id`
+      )
+      .all(userId),
+    badges: db
+      .prepare(
+        "SELECT badge, challenge_id, awarded_at FROM user_badges WHERE user_id = ? ORDER BY id"
+      )
+      .all(userId),
+    apiTokens: db
+      .prepare(
+        `SELECT name, created_at, last_used_at, revoked_at
+         FROM api_tokens WHERE user_id = ? ORDER BY id`
+      )
+      .all(userId),
+  };
+}
+
+module.exports = {
+  validateNewPassword,
+  sendPasswordResetEmail,
+  requestPasswordReset,
+  resetPassword,
+  isEmailVerified,
+  sendVerificationEmail,
+  markEmailVerified,
+  verifyEmail,
+  deleteUserAccount,
+  exportUserData,
+};
@@ -0,0 +1,172 @@
+const { db, initDb } = require("./db");
+const { getLocalDateString, addDays } = require("./dates");
+const { getUserScore } = require("./scoring");
+
+const BADGES = {
+  first_workout: { icon: "👟", label: "Primeiro treino", description: "Registrou o primeiro treino." },
+  streak_7: { icon: "🔥", label: "7 dias seguidos", description: "Treinou 7 dias consecutivos." },
+  workouts_100: { icon: "💯", label: "100 treinos", description: "Chegou a 100 treinos registrados." },
+  challenge_winner: { icon: "🏆", label: "Campeão", description: "Venceu um desafio." },
+  goal_reached: { icon: "🎯", label: "Meta atingida", description: "Alcançou a meta individual de um desafio." },
+};
+
+function getWeekStart(day) {
+  const date = new Date(`${day}T00:00:00`);
+  const weekday = date.getDay() || 7;
+  return addDays(day, -(weekday - 1));
+}
+
+// Longest run of consecutive periods, and the run that is still alive: it may
+// end in the current period or the previous one (today is not over yet).
+function measureRuns(keys, step, current) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  keys.forEach((key) => {
+    run = previous && step(previous) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = key;
+  });
+  const last = keys[keys.length - 1];
+  const alive = last === current || (last && step(last) === current);
+  return { current: alive ? run : 0, longest };
+}
+
+function getUserStreaks(userId, today = getLocalDateString()) {
+  const days = db
+    .prepare(
+      `SELECT DISTINCT substr(logged_on, 1, 10) AS day
+       FROM exercise_logs WHERE user_id = ? AND substr(logged_on, 1, 10) <= ?
+       ORDER BY day ASC`
+    )
+    .all(userId, today)
+    .map((row) => row.day);
+  const weeks = [...new Set(days.map(getWeekStart))];
+
+  return {
+    daily: measureRuns(days, (day) => addDays(day, 1), today),
+    weekly: measureRuns(weeks, (week) => addDays(week, 7), getWeekStart(today)),
+  };
+}
+
+function awardBadge(userId, badge, challengeId = null) {
+  const result = db
+    .prepare(
+      `INSERT INTO user_badges (user_id, badge, challenge_id, awarded_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT DO NOTHING`
+    )
+    .run(userId, badge, challengeId, new Date().toISOString());
+  return result.changes > 0;
+}
+
+// Runs after logs are written. Returns the keys of badges earned just now.
+function checkActivityBadges(userId, challengeIds = []) {
+  const earned = [];
+  const award = (badge, challengeId) => {
+    if (awardBadge(userId, badge, challengeId)) {
+      earned.push(badge);
+    }
+  };
+
+  const workouts = db
+    .prepare(
+      "SELECT COUNT(DISTINCT COALESCE(activity_id, CAST(id AS TEXT))) AS total FROM exercise_logs WHERE user_id = ?"
+    )
+    .get(userId).total;
+  if (workouts >= 1) {
+    award("first_workout");
+  }
+  if (workouts >= 100) {
+    award("workouts_100");
+  }
+  if (getUserStreaks(userId).daily.longest >= 7) {
+    award("streak_7");
+  }
+
+  challengeIds.forEach((challengeId) => {
+    const challenge = db.prepare("SELECT * FROM challenges WHERE id = ?").get(challengeId);
+    if (challenge && getUserScore(challenge, userId) >= challenge.goal_count) {
+      award("goal_reached", challengeId);
+    }
+  });
+  return earned;
+}
+
+// Runs when a challenge is closed, from its frozen results.
+function checkResultBadges(challengeId) {
+  db.prepare(
+    "SELECT user_id, is_winner, goal_met FROM challenge_results WHERE challenge_id = ? AND user_id IS NOT NULL"
+  )
+    .all(challengeId)
+    .forEach((row) => {
+      if (row.is_winner) {
+        awardBadge(row.user_id, "challenge_winner", challengeId);
+      }
+      if (row.goal_met) {
+        awardBadge(row.user_id, "goal_reached", challengeId);
+      }
+    });
+}
+
+function getUserBadges(userId) {
+  return db
+    .prepare(
+      `SELECT b.badge, b.awarded_at, b.challenge_id, c.title AS challenge_title
+       FROM user_badges b
+       LEFT JOIN challenges c ON c.id = b.challenge_id
+       WHERE b.user_id = ?
+       ORDER BY b.awarded_at ASC`
+    )
+    .all(userId)
+    .filter((row) => BADGES[row.badge])
+    .map((row) => ({ ...row, ...BADGES[row.badge] }));
+}
+
+// Badge keys per user, for showing icons next to names in a leaderboard.
+function getBadgesByUser(userIds) {
+  const badges = new Map(userIds.map((id) => [id, []]));
+  if (!userIds.length) {
+    return badges;
+  }
+  db.prepare(
+    `SELECT user_id, badge FROM user_badges
+     WHERE user_id IN (${userIds.map(() => "?").join(", ")})
+     ORDER BY awarded_at ASC`
+  )
+    .all(...userIds)
+    .filter((row) => BADGES[row.badge])
+    .forEach((row) => badges.get(row.user_id).push(row.badge));
+  return badges;
+}
+
+// Awards badges for history that predates the badge system.
+function backfillBadges() {
+  const users = db.prepare("SELECT DISTINCT user_id FROM exercise_logs").all();
+  users.forEach(({ user_id: userId }) => {
+    const challengeIds = db
+      .prepare("SELECT challenge_id FROM challenge_participants WHERE user_id = ?")
+      .all(userId)
+      .map((row) => row.challenge_id);
+    checkActivityBadges(userId, challengeIds);
+  });
+  db.prepare("SELECT id FROM challenges WHERE status = 'closed'")
+    .all()
+    .forEach((row) => checkResultBadges(row.id));
+  return users.length;
+}
+
+module.exports = {
+  BADGES,
+  getUserStreaks,
+  checkActivityBadges,
+  checkResultBadges,
+  getUserBadges,
+  getBadgesByUser,
+  backfillBadges,
+};
+
+if (require.main === module) {
+  initDb();
+  console.log(`[achievements] Medalhas verificadas para ${backfillBadges()} usuário(s).`);
+}
@@ -0,0 +1,429 @@
+const { db } = require("./db");
+const { getLocalDateString, addDays, toDateOnly } = require("./dates");
+const { scoreLogs } = require("./scoring");
+const { getGroupTarget } = require("./teams");
+
+const PERIODS = {
+  week: "Semana",
+  month: "Mês",
+  year: "Ano",
+  custom: "Personalizado",
+};
+
+const MONTH_NAMES = [
+  "Janeiro",
+  "Fevereiro",
+  "Março",
+  "Abril",
+  "Maio",
+  "Junho",
+  "Julho",
+  "Agosto",
+  "Setembro",
+  "Outubro",
+  "Novembro",
+  "Dezembro",
+];
+const DAY_NAMES = ["Dom", "Seg", "Ter", "Qua", "Qui", "Sex", "Sab"];
+const MAX_CUSTOM_DAYS = 731;
+const HEATMAP_WEEKS = 53;
+const MAX_CHART_POINTS = 60;
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || "") && !Number.isNaN(toDateOnly(value).getTime());
+}
+
+function getWeekStart(day) {
+  const weekday = toDateOnly(day).getDay() || 7;
+  return addDays(day, -(weekday - 1));
+}
+
+function shiftMonth(day, months) {
+  const date = toDateOnly(`${day.slice(0, 7)}-01`);
+  date.setMonth(date.getMonth() + months);
+  return getLocalDateString(date);
+}
+
+function formatShort(day) {
+  const [, month, date] = day.split("-");
+  return `${date}/${month}`;
+}
+
+function spanDays(from, to) {
+  return Math.round((toDateOnly(to) - toDateOnly(from)) / (1000 * 60 * 60 * 24)) + 1;
+}
+
+// Turns the profile query string (periodo, ref, de, ate) into a date window.
+// prevRef/nextRef drive the "anterior/próximo" links; custom windows have none.
+function resolvePeriod(query = {}, today = getLocalDateString()) {
+  const period = PERIODS[query.periodo] ? query.periodo : "week";
+  const ref = isDate(query.ref) && query.ref <= today ? query.ref : today;
+
+  if (period === "custom") {
+    const from = query.de;
+    const to = query.ate;
+    if (!isDate(from) || !isDate(to) || from > to) {
+      return { error: "Informe um período válido (data inicial antes da final)." };
+    }
+    if (spanDays(from, to) > MAX_CUSTOM_DAYS) {
+      return { error: "O período personalizado pode ter no máximo 2 anos." };
+    }
+    return {
+      period,
+      from,
+      to,
+      bucket: spanDays(from, to) > 62 ? "month" : "day",
+      label: `${formatShort(from)}/${from.slice(0, 4)} a ${formatShort(to)}/${to.slice(0, 4)}`,
+      prevRef: null,
+      nextRef: null,
+    };
+  }
+
+  let from;
+  let to;
+  let label;
+  let prevRef;
+  let nextRef;
+  if (period === "year") {
+    from = `${ref.slice(0, 4)}-01-01`;
+    to = `${ref.slice(0, 4)}-12-31`;
+    label = ref.slice(0, 4);
+    prevRef = `${Number(ref.slice(0, 4)) - 1}-01-01`;
+    nextRef = `${Number(ref.slice(0, 4)) + 1}-01-01`;
+  } else if (period === "month") {
+    from = `${ref.slice(0, 7)}-01`;
+    to = addDays(shiftMonth(from, 1), -1);
+    label = `${MONTH_NAMES[Number(from.slice(5, 7)) - 1]} de ${from.slice(0, 4)}`;
+    prevRef = shiftMonth(from, -1);
+    nextRef = shiftMonth(from, 1);
+  } else {
+    from = getWeekStart(ref);
+    to = addDays(from, 6);
+    label = `${formatShort(from)} a ${formatShort(to)}/${to.slice(0, 4)}`;
+    prevRef = addDays(from, -7);
+    nextRef = addDays(from, 7);
+  }
+
+  return {
+    period,
+    from,
+    to,
+    bucket: period === "year" ? "month" : "day",
+    label,
+    prevRef,
+    nextRef: nextRef <= today ? nextRef : null,
+  };
+}
+
+function getDailyCounts(userId, from, to) {
+  return db
+    .prepare(
+      `SELECT substr(logged_on, 1, 10) AS day, activity,
+        COUNT(DISTINCT COALESCE(activity_id, CAST(id AS TEXT))) AS total
+       FROM exercise_logs
+       WHERE user_id = ? AND substr(logged_on, 1, 10) BETWEEN ? AND ?
+       GROUP BY day, activity`
+    )
+    .all(userId, from, to);
+}
+
+function buildBuckets(from, to, bucket) {
+  const buckets = [];
+  if (bucket === "month") {
+    for (let day = `${from.slice(0, 7)}-01`; day <= to; day = shiftMonth(day, 1)) {
+      const month = Number(day.slice(5, 7));
+      buckets.push({
+        key: day.slice(0, 7),
+        label: MONTH_NAMES[month - 1].slice(0, 3),
+        dateLabel: day.slice(0, 4),
+      });
+    }
+    return buckets;
+  }
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    buckets.push({
+      key: day,
+      label: DAY_NAMES[toDateOnly(day).getDay()],
+      dateLabel: formatShort(day),
+    });
+  }
+  return buckets;
+}
+
+function getActivityTotals(rows) {
+  const totals = new Map();
+  rows.forEach((row) => {
+    const name = row.activity || "Outros";
+    totals.set(name, (totals.get(name) || 0) + row.total);
+  });
+  return totals;
+}
+
+// Everything the profile charts need for one period: workouts per bucket,
+// per-activity lines (top types) and the change against the previous window
+// of the same length.
+function getPeriodAnalytics(userId, { from, to, bucket }) {
+  const rows = getDailyCounts(userId, from, to);
+  const keyOf = (day) => (bucket === "month" ? day.slice(0, 7) : day);
+
+  const buckets = buildBuckets(from, to, bucket).map((item) => ({ ...item, total: 0 }));
+  const index = new Map(buckets.map((item, position) => [item.key, position]));
+  rows.forEach((row) => {
+    buckets[index.get(keyOf(row.day))].total += row.total;
+  });
+
+  const totals = getActivityTotals(rows);
+  const length = spanDays(from, to);
+  const previousTotals = getActivityTotals(
+    getDailyCounts(userId, addDays(from, -length), addDays(from, -1))
+  );
+  const names = [...new Set([...totals.keys(), ...previousTotals.keys()])].sort(
+    (a, b) => (totals.get(b) || 0) - (totals.get(a) || 0) || a.localeCompare(b)
+  );
+
+  const trends = names.map((name) => {
+    const current = totals.get(name) || 0;
+    const previous = previousTotals.get(name) || 0;
+    return {
+      activity: name,
+      total: current,
+      previous,
+      change: previous ? Math.round(((current - previous) / previous) * 100) : null,
+    };
+  });
+
+  const lines = names
+    .filter((name) => totals.get(name))
+    .slice(0, 5)
+    .map((name) => {
+      const values = buckets.map(() => 0);
+      rows
+        .filter((row) => (row.activity || "Outros") === name)
+        .forEach((row) => {
+          values[index.get(keyOf(row.day))] += row.total;
+        });
+      return { activity: name, values };
+    });
+
+  return {
+    series: buckets,
+    total: buckets.reduce((sum, item) => sum + item.total, 0),
+    activeDays: new Set(rows.map((row) => row.day)).size,
+    trends,
+    lines,
+  };
+}
+
+// Calendar of the last ~12 months up to `to`, one column per week (Mon–Sun).
+function getHeatmap(userId, to, today = getLocalDateString()) {
+  const end = to < today ? to : today;
+  const start = addDays(getWeekStart(end), -(HEATMAP_WEEKS - 1) * 7);
+  const counts = new Map(
+    db
+      .prepare(
+        `SELECT substr(logged_on, 1, 10) AS day, COUNT(DISTINCT COALESCE(activity_id, CAST(id AS TEXT))) AS total
+         FROM exercise_logs
+         WHERE user_id = ? AND substr(logged_on, 1, 10) BETWEEN ? AND ?
+         GROUP BY day`
+      )
+      .all(userId, start, end)
+      .map((row) => [row.day, row.total])
+  );
+
+  const weeks = [];
+  for (let week = start; week <= end; week = addDays(week, 7)) {
+    weeks.push(
+      Array.from({ length: 7 }, (_, offset) => {
+        const day = addDays(week, offset);
+        const total = counts.get(day) || 0;
+        return {
+          day,
+          total,
+          level: day > end ? null : Math.min(total, 4),
+        };
+      })
+    );
+  }
+  return {
+    from: start,
+    to: end,
+    weeks,
+    activeDays: [...counts.values()].filter(Boolean).length,
+  };
+}
+
+// Weekly totals against users.goal_exercises (a per-week target) for every
+// week touching the period; weeks that have not started yet are left out.
+function getGoalProgress(userId, goal, { from, to }, today = getLocalDateString()) {
+  const first = getWeekStart(from);
+  const last = to < today ? to : today;
+  if (last < first) {
+    return { goal, weeks: [], metCount: 0 };
+  }
+  const counts = new Map();
+  db.prepare(
+    `SELECT substr(logged_on, 1, 10) AS day, COUNT(DISTINCT COALESCE(activity_id, CAST(id AS TEXT))) AS total
+     FROM exercise_logs
+     WHERE user_id = ? AND substr(logged_on, 1, 10) BETWEEN ? AND ?
+     GROUP BY day`
+  )
+    .all(userId, first, addDays(getWeekStart(last), 6))
+    .forEach((row) => {
+      const week = getWeekStart(row.day);
+      counts.set(week, (counts.get(week) || 0) + row.total);
+    });
+
+  const weeks = [];
+  for (let week = first; week <= last; week = addDays(week, 7)) {
+    const total = counts.get(week) || 0;
+    weeks.push({
+      weekStart: week,
+      label: formatShort(week),
+      total,
+      met: goal > 0 && total >= goal,
+      percent: goal > 0 ? Math.min(Math.round((total / goal) * 100), 100) : 0,
+    });
+  }
+  return { goal, weeks, metCount: weeks.filter((week) => week.met).length };
+}
+
+// Days at which cumulative scores are sampled: every day for short windows,
+// evenly spaced (always keeping the last day) for long ones.
+function samplePoints(from, to) {
+  const total = spanDays(from, to);
+  const step = Math.max(Math.ceil(total / MAX_CHART_POINTS), 1);
+  const points = [];
+  for (let offset = 0; offset < total; offset += step) {
+    points.push(addDays(from, offset));
+  }
+  if (points[points.length - 1] !== to) {
+    points.push(to);
+  }
+  return points;
+}
+
+// Engagement view for organizers. Scores go through scoreLogs so cumulative
+// progress matches the leaderboard for every scoring mode; "pace" is the
+// straight line from 0 on start_date to goal_count on end_date.
+function getChallengeAnalytics(challenge, { inactiveDays = 7 } = {}, today = getLocalDateString()) {
+  const from = challenge.start_date;
+  const lastDay = challenge.closed_at ? challenge.closed_at.slice(0, 10) : today;
+  const to = [challenge.end_date, lastDay].sort()[0];
+  const started = from <= to;
+  const totalDays = spanDays(from, challenge.end_date);
+  const paceAt = (day) =>
+    Math.round(challenge.goal_count * Math.min(spanDays(from, day) / totalDays, 1) * 100) / 100;
+
+  const participants = db
+    .prepare(
+      `SELECT u.id AS user_id, u.name, cp.joined_at
+       FROM challenge_participants cp
+       JOIN users u ON u.id = cp.user_id
+       WHERE cp.challenge_id = ?
+       ORDER BY u.name ASC`
+    )
+    .all(challenge.id);
+  const logs = db
+    .prepare(
+      `SELECT user_id, activity, activity_type_id, amount, unit, logged_on
+       FROM exercise_logs
+       WHERE challenge_id = ? AND (review_status IS NULL OR review_status != 'rejected')
+         AND user_id IN (SELECT user_id FROM challenge_participants WHERE challenge_id = ?)
+       ORDER BY logged_on ASC`
+    )
+    .all(challenge.id, challenge.id);
+
+  const daily = started
+    ? buildBuckets(from, to, "day").map((item) => ({ ...item, logs: 0, people: new Set() }))
+    : [];
+  const dayIndex = new Map(daily.map((item, position) => [item.key, position]));
+  const distribution = new Map();
+  logs.forEach((log) => {
+    const day = log.logged_on.slice(0, 10);
+    if (dayIndex.has(day)) {
+      daily[dayIndex.get(day)].logs += 1;
+      daily[dayIndex.get(day)].people.add(log.user_id);
+    }
+    const name = log.activity || "Outros";
+    distribution.set(name, (distribution.get(name) || 0) + 1);
+  });
+
+  const points = started ? samplePoints(from, to) : [];
+  const people = participants.map((person) => {
+    const own = logs.filter((log) => log.user_id === person.user_id);
+    const lastLog = own.length ? own[own.length - 1].logged_on.slice(0, 10) : null;
+    const total = scoreLogs(challenge, own);
+    const expected = started ? paceAt(to) : 0;
+    return {
+      userId: person.user_id,
+      name: person.name,
+      total,
+      expected,
+      onPace: total >= expected,
+      lastLog,
+      idleDays: lastLog ? spanDays(lastLog, today) - 1 : null,
+      cumulative: points.map((day) =>
+        scoreLogs(challenge, own.filter((log) => log.logged_on.slice(0, 10) <= day))
+      ),
+    };
+  });
+
+  const inactiveSince = addDays(today, -inactiveDays);
+  const inactive = people
+    .filter((person) => !person.lastLog || person.lastLog <= inactiveSince)
+    .sort((a, b) => (a.lastLog || "").localeCompare(b.lastLog || ""));
+
+  const groupTarget = getGroupTarget(challenge, participants.length);
+  const groupTotal = Math.round(people.reduce((sum, person) => sum + person.total, 0) * 100) / 100;
+  let projection = null;
+  if (started) {
+    const elapsed = spanDays(from, to);
+    const rate = groupTotal / elapsed;
+    if (groupTotal >= groupTarget) {
+      projection = { reached: true };
+    } else if (rate > 0) {
+      const remaining = groupTarget - groupTotal;
+      const date = addDays(to, Math.ceil(remaining / rate));
+      const daysLeft = challenge.end_date > to ? spanDays(to, challenge.end_date) - 1 : 0;
+      projection = {
+        reached: false,
+        date,
+        ratePerDay: Math.round(rate * 100) / 100,
+        neededPerDay: daysLeft ? Math.round((remaining / daysLeft) * 100) / 100 : null,
+        onTime: date <= challenge.end_date,
+      };
+    }
+  }
+
+  return {
+    from,
+    to,
+    started,
+    daily: daily.map(({ people: active, ...item }) => ({ ...item, people: active.size })),
+    totalDays,
+    points: points.map((day) => ({
+      day,
+      label: formatShort(day),
+      offset: spanDays(from, day) - 1,
+      pace: paceAt(day),
+    })),
+    participants: people.sort((a, b) => b.total - a.total || a.name.localeCompare(b.name)),
+    inactiveDays,
+    inactive,
+    distribution: [...distribution.entries()]
+      .map(([activity, total]) => ({ activity, total }))
+      .sort((a, b) => b.total - a.total || a.activity.localeCompare(b.activity)),
+    groupTarget,
+    groupTotal,
+    projection,
+  };
+}
+
+module.exports = {
+  PERIODS,
+  resolvePeriod,
+  getPeriodAnalytics,
+  getHeatmap,
+  getGoalProgress,
+  getChallengeAnalytics,
+};
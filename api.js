@@ -0,0 +1,309 @@
+const express = require("express");
+const bcrypt = require("bcrypt");
+
+const { userRepo, challengeRepo } = require("./repositories");
+const { daysRemaining } = require("./dates");
+const {
+  ChallengeError,
+  getActivityTypes,
+  isParticipant,
+  getVisibleChallenges,
+  logActivity,
+  logChallengeActivity,
+  getProfileStats,
+  getActivityHistory,
+  updateActivity,
+  deleteActivity,
+} = require("./challenges");
+const { getLeaderboard, scoreLabel } = require("./scoring");
+const { getChallengeState, getChallengeResults } = require("./lifecycle");
+const { createApiToken, findApiToken, listApiTokens, revokeApiToken } = require("./tokens");
+const { joinChallengeByInvite } = require("./invites");
+const { leaveChallenge } = require("./participants");
+const { getTeamLeaderboard, joinTeam } = require("./teams");
+const { getUserStreaks, getUserBadges } = require("./achievements");
+const { getLoginLock, loginLockMessage, recordLoginFailure, clearLoginFailures } = require("./security");
+const { verifySecondFactor } = require("./twofactor");
+
+const router = express.Router();
+
+router.use(express.json());
+
+function requireToken(req, res, next) {
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  const apiToken = scheme === "Bearer" ? findApiToken(token) : null;
+  if (!apiToken) {
+    return res.status(401).json({ error: "Token inválido ou ausente." });
+  }
+  req.apiToken = apiToken;
+  req.userId = apiToken.user_id;
+  return next();
+}
+
+function serializeChallenge(challenge) {
+  return {
+    id: challenge.id,
+    title: challenge.title,
+    description: challenge.description,
+    startDate: challenge.start_date,
+    endDate: challenge.end_date,
+    goalCount: challenge.goal_count,
+    metric: challenge.metric,
+    scoringMode: challenge.scoring_mode,
+    scoreUnit: scoreLabel(challenge),
+    groupGoal: challenge.group_goal,
+    teamScoring: challenge.team_scoring,
+    status: challenge.status,
+    state: getChallengeState(challenge),
+    prize: challenge.prize,
+    penalty: challenge.penalty,
+    creatorId: challenge.creator_id,
+    daysRemaining: daysRemaining(challenge.end_date),
+  };
+}
+
+router.post("/auth/token", async (req, res, next) => {
+  try {
+    const email = String(req.body.email || "").trim().toLowerCase();
+    const password = String(req.body.password || "");
+    const name = String(req.body.name || "").trim() || "API";
+
+    const lockedFor = getLoginLock(email, req.ip);
+    if (lockedFor) {
+      res.set("Retry-After", String(lockedFor * 60));
+      return res.status(429).json({ error: loginLockMessage(lockedFor) });
+    }
+
+    const user = userRepo.findByEmail(email);
+    const ok = user ? await bcrypt.compare(password, user.password_hash) : false;
+    if (!ok) {
+      recordLoginFailure(email, req.ip);
+      return res.status(401).json({ error: "E-mail ou senha inválidos." });
+    }
+    if (user.totp_enabled_at && !verifySecondFactor(user.id, req.body.otp)) {
+      if (req.body.otp) {
+        recordLoginFailure(email, req.ip);
+      }
+      return res.status(401).json({
+        error: "Informe um código válido da verificação em duas etapas em `otp`.",
+        otpRequired: true,
+      });
+    }
+
+    clearLoginFailures(email);
+    const token = createApiToken(user.id, name);
+    return res.status(201).json({
+      token,
+      user: { id: user.id, name: user.name, email: user.email, role: user.role },
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+router.delete("/auth/token", requireToken, (req, res) => {
+  revokeApiToken(req.userId, req.apiToken.id);
+  return res.status(204).end();
+});
+
+router.get("/tokens", requireToken, (req, res) => {
+  const tokens = listApiTokens(req.userId).map((row) => ({
+    id: row.id,
+    name: row.name,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    current: row.id === req.apiToken.id,
+  }));
+  return res.json({ tokens });
+});
+
+router.delete("/tokens/:id", requireToken, (req, res) => {
+  if (!revokeApiToken(req.userId, Number(req.params.id))) {
+    return res.status(404).json({ error: "Token não encontrado." });
+  }
+  return res.status(204).end();
+});
+
+router.get("/activity-types", requireToken, (req, res) => {
+  const activityTypes = getActivityTypes().map((type) => ({
+    id: type.id,
+    name: type.name,
+    unit: type.unit,
+  }));
+  return res.json({ activityTypes });
+});
+
+router.get("/me", requireToken, (req, res) => {
+  const user = userRepo.findById(req.userId);
+  const stats = getProfileStats(req.userId);
+  return res.json({
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: Boolean(user.email_verified_at),
+      createdAt: user.created_at,
+      goalExercises: user.goal_exercises || 0,
+    },
+    stats: {
+      exerciseCount: stats.exerciseCount,
+      joinedCount: stats.joinedCount,
+      createdCount: stats.createdCount,
+      activityBreakdown: stats.activityBreakdown,
+      weeklySeries: stats.weeklySeries.map((item) => ({ date: item.date, total: item.total })),
+      streaks: getUserStreaks(req.userId),
+    },
+    badges: getUserBadges(req.userId).map((badge) => ({
+      badge: badge.badge,
+      label: badge.label,
+      challengeId: badge.challenge_id,
+      awardedAt: badge.awarded_at,
+    })),
+  });
+});
+
+router.get("/challenges", requireToken, (req, res) => {
+  const status = req.query.status === "closed" ? "closed" : "active";
+  const challenges = getVisibleChallenges(req.userId, status).map(serializeChallenge);
+  return res.json({ challenges });
+});
+
+router.get("/challenges/:id", requireToken, (req, res) => {
+  const challenge = challengeRepo.findById(Number(req.params.id));
+  if (!challenge) {
+    return res.status(404).json({ error: "Desafio não encontrado." });
+  }
+  const isOwner = challenge.creator_id === req.userId;
+  if (!isOwner && !isParticipant(req.userId, challenge.id) && req.apiToken.role !== "admin") {
+    return res.status(403).json({ error: "Você não participa deste desafio." });
+  }
+
+  const rankingRows = getLeaderboard(challenge);
+  const leaderboard = rankingRows.map((row, index) => ({
+    position: index + 1,
+    userId: row.user_id,
+    name: row.name,
+    teamId: row.team_id,
+    total: row.total,
+    remaining: Math.max(challenge.goal_count - row.total, 0),
+  }));
+  const teams = getTeamLeaderboard(challenge, rankingRows).map((team, index) => ({
+    position: index + 1,
+    ...team,
+  }));
+  const results =
+    challenge.status === "closed"
+      ? getChallengeResults(challenge.id).map((row) => ({
+          position: row.position,
+          userId: row.user_id,
+          name: row.user_name,
+          total: row.total,
+          goalMet: Boolean(row.goal_met),
+          winner: Boolean(row.is_winner),
+          outcome: row.outcome,
+        }))
+      : null;
+  return res.json({ challenge: serializeChallenge(challenge), leaderboard, teams, results });
+});
+
+router.post("/invites/:code/join", requireToken, (req, res) => {
+  const { challenge, joined, pending } = joinChallengeByInvite(req.userId, req.params.code);
+  let status = 200;
+  if (joined) {
+    status = 201;
+  } else if (pending) {
+    status = 202;
+  }
+  return res.status(status).json({ challenge: serializeChallenge(challenge), joined, pending });
+});
+
+router.post("/challenges/:id/leave", requireToken, (req, res) => {
+  const challenge = challengeRepo.findById(Number(req.params.id));
+  if (!challenge) {
+    return res.status(404).json({ error: "Desafio não encontrado." });
+  }
+  leaveChallenge(challenge, req.userId);
+  return res.status(204).end();
+});
+
+router.put("/challenges/:id/team", requireToken, (req, res) => {
+  const challenge = challengeRepo.findById(Number(req.params.id));
+  if (!challenge) {
+    return res.status(404).json({ error: "Desafio não encontrado." });
+  }
+  const teamId = Number(req.body.team_id) || null;
+  joinTeam(challenge, req.userId, teamId);
+  return res.json({ teamId });
+});
+
+router.post("/activities", requireToken, (req, res) => {
+  const result = logActivity(req.userId, {
+    activityTypeId: req.body.activity_type_id,
+    activity: req.body.activity,
+    amount: req.body.amount,
+    loggedOn: req.body.logged_on,
+  });
+  return res.status(201).json(result);
+});
+
+router.get("/activities", requireToken, (req, res) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const { entries, hasMore } = getActivityHistory(req.userId, page);
+  return res.json({
+    activities: entries.map((entry) => ({
+      activityId: entry.activity_id,
+      activity: entry.activity,
+      activityTypeId: entry.activity_type_id,
+      amount: entry.amount,
+      unit: entry.unit,
+      loggedOn: entry.logged_on,
+      challenges: entry.challenges,
+    })),
+    page,
+    hasMore,
+  });
+});
+
+router.patch("/activities/:activityId", requireToken, (req, res) => {
+  const entry = updateActivity(req.userId, req.params.activityId, {
+    activityTypeId: req.body.activity_type_id,
+    activity: req.body.activity,
+    amount: req.body.amount,
+    loggedOn: req.body.logged_on,
+  });
+  return res.json(entry);
+});
+
+router.delete("/activities/:activityId", requireToken, (req, res) => {
+  deleteActivity(req.userId, req.params.activityId);
+  return res.status(204).end();
+});
+
+router.post("/challenges/:id/logs", requireToken, (req, res) => {
+  const result = logChallengeActivity(req.userId, Number(req.params.id), {
+    activityTypeId: req.body.activity_type_id,
+    activity: req.body.activity,
+    amount: req.body.amount,
+    loggedOn: req.body.logged_on,
+  });
+  return res.status(201).json(result);
+});
+
+router.use((req, res) => {
+  res.status(404).json({ error: "Rota não encontrada." });
+});
+
+router.use((err, req, res, next) => {
+  if (err instanceof ChallengeError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "JSON inválido." });
+  }
+  console.error(err);
+  return res.status(500).json({ error: "Erro interno." });
+});
+
+module.exports = router;
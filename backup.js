@@ -0,0 +1,278 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const { db, dialect, openSqlite, initDb } = require("./db");
+const { migrate } = require("./migrate");
+const { ChallengeError } = require("./challenges");
+const { getChallengeSnapshot } = require("./lifecycle");
+const { deleteOrphanPhotos } = require("./feed");
+
+// Copies of app.db taken with SQLite's online backup API, so the server keeps
+// serving while they run. PostgreSQL deploys rely on the provider's backups.
+const BACKUP_NAME = /^app-\d{8}-\d{6}(-[a-z-]+)?\.db$/;
+const SAFETY_LABEL = "pre-restauracao";
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+function getBackupDir() {
+  return path.resolve(process.env.BACKUP_DIR || path.join(__dirname, "backups"));
+}
+
+function getArchiveDir() {
+  return path.join(getBackupDir(), "arquivo");
+}
+
+function backupsSupported() {
+  return dialect === "sqlite";
+}
+
+function ensureSupported() {
+  if (!backupsSupported()) {
+    throw new ChallengeError("Backups automáticos só estão disponíveis com SQLite.", 409);
+  }
+}
+
+// 2026-10-18T09:30:00.000Z -> 20261018-093000
+function timestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "-");
+}
+
+function listBackups() {
+  const dir = getBackupDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(dir)
+    .filter((name) => BACKUP_NAME.test(name))
+    .map((name) => {
+      const stat = fs.statSync(path.join(dir, name));
+      return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.name.localeCompare(a.name));
+}
+
+function isSafetyCopy(name) {
+  return name.endsWith(`-${SAFETY_LABEL}.db`);
+}
+
+// Keeps the newest BACKUP_KEEP copies (7 by default). Safety copies taken
+// before a restore are rotated on their own, so a few restores in a row never
+// push out the regular backups.
+function rotateBackups({ safety = false, keep = Number(process.env.BACKUP_KEEP || 7) } = {}) {
+  const removed = listBackups()
+    .filter((backup) => isSafetyCopy(backup.name) === safety)
+    .slice(Math.max(keep, 1));
+  removed.forEach((backup) => fs.unlinkSync(path.join(getBackupDir(), backup.name)));
+  return removed;
+}
+
+async function createBackup({ label = "", rotate = true } = {}) {
+  ensureSupported();
+  fs.mkdirSync(getBackupDir(), { recursive: true });
+  const name = `app-${timestamp()}${label ? `-${label}` : ""}.db`;
+  await db.backup(path.join(getBackupDir(), name));
+  if (rotate) {
+    rotateBackups({ safety: isSafetyCopy(name) });
+  }
+  return listBackups().find((backup) => backup.name === name);
+}
+
+function resolveBackup(name) {
+  const file = path.join(getBackupDir(), String(name || ""));
+  if (!BACKUP_NAME.test(name) || !fs.existsSync(file)) {
+    throw new ChallengeError("Backup não encontrado.", 404);
+  }
+  return file;
+}
+
+// Copies the backup over the live database through the same connection-safe
+// API, after saving the current state next to the other backups. Older
+// backups are migrated up to the current schema afterwards.
+async function restoreBackup(name) {
+  ensureSupported();
+  const source = openSqlite(resolveBackup(name), { readonly: true, fileMustExist: true });
+  let safety;
+  try {
+    let check;
+    try {
+      check = source.pragma("integrity_check", { simple: true });
+    } catch (err) {
+      check = err.message;
+    }
+    if (check !== "ok") {
+      throw new ChallengeError("O arquivo de backup está corrompido.");
+    }
+    const isAppDb = source
+      .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'")
+      .get();
+    if (!isAppDb) {
+      throw new ChallengeError("O arquivo não é um backup deste app.");
+    }
+    safety = await createBackup({ label: SAFETY_LABEL, rotate: false });
+    await source.backup(db.name);
+  } finally {
+    source.close();
+  }
+  migrate(db);
+  // Only now, in case the backup just restored was the oldest safety copy.
+  rotateBackups({ safety: true });
+  return safety;
+}
+
+function getRetentionMonths() {
+  return Math.max(Number(process.env.RETENTION_MONTHS) || 0, 0);
+}
+
+function getArchivedChallenges() {
+  return db
+    .prepare(
+      `SELECT id, title, closed_at, archived_at FROM challenges
+       WHERE archived_at IS NOT NULL
+       ORDER BY archived_at DESC`
+    )
+    .all();
+}
+
+// Moves the logs (with reactions, comments, audit trail and photos) of
+// challenges closed more than `months` months ago into a gzipped JSON file per
+// challenge under <BACKUP_DIR>/arquivo, then deletes them from the database.
+// The frozen results, results page and certificates are kept.
+function archiveClosedChallenges({ months = getRetentionMonths(), now = new Date() } = {}) {
+  if (!months) {
+    return [];
+  }
+  const cutoff = new Date(now);
+  cutoff.setMonth(cutoff.getMonth() - months);
+  const challenges = db
+    .prepare(
+      `SELECT * FROM challenges
+       WHERE status = 'closed' AND archived_at IS NULL AND COALESCE(closed_at, end_date) < ?
+       ORDER BY id`
+    )
+    .all(cutoff.toISOString());
+
+  fs.mkdirSync(getArchiveDir(), { recursive: true });
+  return challenges.map((challenge) => {
+    getChallengeSnapshot(challenge);
+    const byChallenge = (table) =>
+      db.prepare(`SELECT * FROM ${table} WHERE challenge_id = ? ORDER BY id`).all(challenge.id);
+    const logs = byChallenge("exercise_logs");
+    const photos = db
+      .prepare(
+        `SELECT activity_id, user_id, mime, data, created_at FROM activity_photos
+         WHERE activity_id IN (SELECT activity_id FROM exercise_logs WHERE challenge_id = ?)
+         ORDER BY id`
+      )
+      .all(challenge.id)
+      .map((photo) => ({ ...photo, data: Buffer.from(photo.data).toString("base64") }));
+    const archivedAt = new Date().toISOString();
+    const file = path.join(getArchiveDir(), `desafio-${challenge.id}-${timestamp(now)}.json.gz`);
+    fs.writeFileSync(
+      file,
+      zlib.gzipSync(
+        JSON.stringify({
+          archivedAt,
+          challenge,
+          logs,
+          reactions: byChallenge("log_reactions"),
+          comments: byChallenge("log_comments"),
+          audit: byChallenge("exercise_log_audit"),
+          photos,
+        })
+      )
+    );
+
+    db.transaction(() => {
+      ["log_reactions", "log_comments", "exercise_logs", "exercise_log_audit"].forEach((table) => {
+        db.prepare(`DELETE FROM ${table} WHERE challenge_id = ?`).run(challenge.id);
+      });
+      deleteOrphanPhotos();
+      db.prepare("UPDATE challenges SET archived_at = ? WHERE id = ?").run(archivedAt, challenge.id);
+    })();
+    return { id: challenge.id, title: challenge.title, logs: logs.length, file };
+  });
+}
+
+// A backup is due once the newest one is older than BACKUP_INTERVAL_HOURS, so
+// restarts don't pile up copies.
+async function runScheduledBackup(now = Date.now()) {
+  const intervalMs = Number(process.env.BACKUP_INTERVAL_HOURS || 24) * 60 * 60 * 1000;
+  const [latest] = listBackups();
+  if (latest && now - Date.parse(latest.createdAt) < intervalMs) {
+    return null;
+  }
+  return createBackup();
+}
+
+function startBackupScheduler() {
+  const backupsEnabled = backupsSupported() && process.env.BACKUP_ENABLED !== "false";
+  if (!backupsEnabled && !getRetentionMonths()) {
+    return null;
+  }
+  const tick = async () => {
+    if (backupsEnabled) {
+      const backup = await runScheduledBackup();
+      if (backup) {
+        console.log(`[backup] ${backup.name} criado.`);
+      }
+    }
+    archiveClosedChallenges().forEach((archived) => {
+      console.log(`[backup] ${archived.logs} registro(s) do desafio ${archived.id} arquivado(s).`);
+    });
+  };
+  const run = () => tick().catch((err) => console.error("[backup] Falha na rotina de backup:", err));
+  run();
+  return setInterval(run, CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+  getBackupDir,
+  backupsSupported,
+  listBackups,
+  createBackup,
+  resolveBackup,
+  restoreBackup,
+  getRetentionMonths,
+  getArchivedChallenges,
+  archiveClosedChallenges,
+  startBackupScheduler,
+};
+
+if (require.main === module) {
+  const [command = "list", ...args] = process.argv.slice(2);
+  const run = async () => {
+    initDb();
+    if (command === "create") {
+      const backup = await createBackup();
+      console.log(`[backup] ${backup.name} criado em ${getBackupDir()}.`);
+    } else if (command === "list") {
+      const backups = listBackups();
+      backups.forEach((backup) => {
+        console.log(`${backup.name}  ${backup.createdAt}  ${Math.ceil(backup.size / 1024)} KB`);
+      });
+      console.log(`[backup] ${backups.length} backup(s) em ${getBackupDir()}.`);
+    } else if (command === "restore" && args[0]) {
+      const safety = await restoreBackup(args[0]);
+      console.log(`[backup] ${args[0]} restaurado; estado anterior salvo em ${safety.name}.`);
+    } else if (command === "archive") {
+      const monthsIndex = args.indexOf("--months");
+      const months = monthsIndex === -1 ? getRetentionMonths() : Number(args[monthsIndex + 1]);
+      if (!months) {
+        throw new Error("Defina RETENTION_MONTHS ou use --months N.");
+      }
+      const archived = archiveClosedChallenges({ months });
+      archived.forEach((row) => console.log(`[backup] ${row.title}: ${row.logs} registro(s) -> ${row.file}`));
+      console.log(`[backup] ${archived.length} desafio(s) arquivado(s).`);
+    } else {
+      console.error("Uso: node backup.js [create | list | restore <arquivo> | archive [--months N]]");
+      process.exitCode = 1;
+    }
+  };
+  run()
+    .catch((err) => {
+      console.error(`[backup] ${err.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
@@ -0,0 +1,454 @@
+const crypto = require("crypto");
+
+const { db } = require("./db");
+const { getLocalDateString } = require("./dates");
+const { UNIT_LABELS } = require("./scoring");
+const { getChallengeState } = require("./lifecycle");
+const { checkActivityBadges } = require("./achievements");
+
+// Business rules shared by the HTML routes and the JSON API. Failures are
+// thrown as ChallengeError so each caller can surface them its own way
+// (flash + redirect or a JSON error body).
+class ChallengeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ChallengeError";
+    this.status = status;
+  }
+}
+
+function getActivityTypes() {
+  return db.prepare("SELECT * FROM activity_types ORDER BY name ASC").all();
+}
+
+function resolveActivity({ activityTypeId, activity, amount }) {
+  const type = activityTypeId
+    ? db.prepare("SELECT * FROM activity_types WHERE id = ?").get(Number(activityTypeId))
+    : db
+        .prepare("SELECT * FROM activity_types WHERE lower(name) = lower(?)")
+        .get((activity || "").trim());
+  if (!type) {
+    throw new ChallengeError("Informe o tipo de exercício.");
+  }
+
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new ChallengeError(`Informe a quantidade em ${UNIT_LABELS[type.unit]}.`);
+  }
+  return { type, amount: value };
+}
+
+function resolveLogDate(loggedOn) {
+  const today = getLocalDateString();
+  const day = loggedOn || today;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    throw new ChallengeError("Informe uma data válida.");
+  }
+  if (day > today) {
+    throw new ChallengeError("A data do treino não pode estar no futuro.");
+  }
+  return day;
+}
+
+function isWithinWindow(challenge, day) {
+  return (
+    getChallengeState(challenge) === "active" &&
+    day >= challenge.start_date &&
+    day <= challenge.end_date
+  );
+}
+
+function generateActivityId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+function isParticipant(userId, challengeId) {
+  return Boolean(
+    db
+      .prepare(
+        "SELECT id FROM challenge_participants WHERE user_id = ? AND challenge_id = ?"
+      )
+      .get(userId, challengeId)
+  );
+}
+
+// True when an organizer removed the user and nobody has added them back.
+function isRemovedFrom(userId, challengeId) {
+  return Boolean(
+    db
+      .prepare("SELECT id FROM challenge_removals WHERE user_id = ? AND challenge_id = ?")
+      .get(userId, challengeId)
+  );
+}
+
+// Adding someone back is the organizer's decision, so it lifts a removal.
+function addParticipant(userId, challengeId, inviteId = null) {
+  db.prepare("DELETE FROM challenge_removals WHERE user_id = ? AND challenge_id = ?").run(
+    userId,
+    challengeId
+  );
+  db.prepare(
+    `INSERT INTO challenge_participants (user_id, challenge_id, joined_at, invite_id)
+     VALUES (?, ?, ?, ?)`
+  ).run(userId, challengeId, new Date().toISOString(), inviteId);
+}
+
+function getVisibleChallenges(userId, status = "active") {
+  return db
+    .prepare(
+      `SELECT DISTINCT c.*
+       FROM challenges c
+       LEFT JOIN challenge_participants cp ON cp.challenge_id = c.id
+       WHERE (c.creator_id = ? OR cp.user_id = ?) AND c.status = ?
+       ORDER BY c.end_date ASC`
+    )
+    .all(userId, userId, status);
+}
+
+// `track` carries the details of a workout imported from a GPS file.
+function logActivity(userId, { activityTypeId, activity, amount, loggedOn, track = null }) {
+  const resolved = resolveActivity({ activityTypeId, activity, amount });
+  const day = resolveLogDate(loggedOn);
+
+  const challenges = db
+    .prepare(
+      `SELECT c.*
+       FROM challenge_participants cp
+       JOIN challenges c ON c.id = cp.challenge_id
+       WHERE cp.user_id = ?`
+    )
+    .all(userId);
+  if (challenges.length === 0) {
+    throw new ChallengeError("Você não participa de nenhum desafio.", 409);
+  }
+
+  const challengeIds = challenges
+    .filter((challenge) => isWithinWindow(challenge, day))
+    .map((challenge) => challenge.id);
+  if (challengeIds.length === 0) {
+    throw new ChallengeError("Nenhum dos seus desafios está aberto para esta data.", 409);
+  }
+
+  return insertLogs(userId, challengeIds, resolved, day, track);
+}
+
+function logChallengeActivity(userId, challengeId, { activityTypeId, activity, amount, loggedOn }) {
+  const resolved = resolveActivity({ activityTypeId, activity, amount });
+  const day = resolveLogDate(loggedOn);
+  if (!isParticipant(userId, challengeId)) {
+    throw new ChallengeError("Entre no desafio antes de registrar treinos.", 403);
+  }
+
+  const challenge = db.prepare("SELECT * FROM challenges WHERE id = ?").get(challengeId);
+  const state = getChallengeState(challenge);
+  if (state === "closed") {
+    throw new ChallengeError("Este desafio está encerrado.", 409);
+  }
+  if (state === "upcoming") {
+    throw new ChallengeError(`Este desafio começa em ${challenge.start_date}.`, 409);
+  }
+  if (!isWithinWindow(challenge, day)) {
+    throw new ChallengeError(
+      `A data do treino deve estar entre ${challenge.start_date} e ${challenge.end_date}.`
+    );
+  }
+
+  return insertLogs(userId, [challengeId], resolved, day);
+}
+
+function insertLogs(userId, challengeIds, { type, amount }, day, track = null) {
+  const insertLog = db.prepare(
+    `INSERT INTO exercise_logs
+      (user_id, challenge_id, count, activity, activity_id, activity_type_id, amount, unit, logged_on, created_at,
+       source, started_at, duration_seconds, distance_km)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const { source = null, startedAt = null, durationSeconds = null, distanceKm = null } = track || {};
+
+  const now = new Date().toISOString();
+  const activityId = generateActivityId();
+  const transaction = db.transaction((ids) => {
+    ids.forEach((challengeId) => {
+      insertLog.run(
+        userId,
+        challengeId,
+        1,
+        type.name,
+        activityId,
+        type.id,
+        amount,
+        type.unit,
+        day,
+        now,
+        source,
+        startedAt,
+        durationSeconds,
+        distanceKm
+      );
+    });
+  });
+
+  transaction(challengeIds);
+  return {
+    activityId,
+    challengeIds,
+    badges: checkActivityBadges(userId, challengeIds),
+    activity: type.name,
+    amount,
+    unit: type.unit,
+    loggedOn: day,
+  };
+}
+
+const HISTORY_PAGE_SIZE = 50;
+
+function getActivityHistory(userId, page = 1) {
+  const offset = (Math.max(page, 1) - 1) * HISTORY_PAGE_SIZE;
+  const rows = db
+    .prepare(
+      `SELECT e.activity_id, e.activity, e.activity_type_id, e.amount, e.unit, e.logged_on,
+        e.source, e.duration_seconds, e.distance_km, MIN(e.created_at) AS created_at,
+        string_agg(c.title, ', ') AS challenges
+       FROM exercise_logs e
+       JOIN challenges c ON c.id = e.challenge_id
+       WHERE e.user_id = ?
+       GROUP BY e.activity_id, e.activity, e.activity_type_id, e.amount, e.unit, e.logged_on,
+        e.source, e.duration_seconds, e.distance_km
+       ORDER BY e.logged_on DESC, created_at DESC
+       LIMIT ? OFFSET ?`
+    )
+    .all(userId, HISTORY_PAGE_SIZE + 1, offset);
+  return {
+    entries: rows.slice(0, HISTORY_PAGE_SIZE),
+    hasMore: rows.length > HISTORY_PAGE_SIZE,
+  };
+}
+
+function getActivityEntry(userId, activityId) {
+  const rows = db
+    .prepare(
+      `SELECT e.*, c.title AS challenge_title, c.status AS challenge_status,
+        c.start_date AS challenge_start, c.end_date AS challenge_end
+       FROM exercise_logs e
+       JOIN challenges c ON c.id = e.challenge_id
+       WHERE e.user_id = ? AND e.activity_id = ?`
+    )
+    .all(userId, activityId);
+  if (!rows.length) {
+    throw new ChallengeError("Atividade não encontrada.", 404);
+  }
+  const [first] = rows;
+  return {
+    activityId,
+    activity: first.activity,
+    activityTypeId: first.activity_type_id,
+    amount: first.amount,
+    unit: first.unit,
+    loggedOn: first.logged_on,
+    challenges: rows.map((row) => ({
+      id: row.challenge_id,
+      title: row.challenge_title,
+      status: row.challenge_status,
+      start_date: row.challenge_start,
+      end_date: row.challenge_end,
+    })),
+  };
+}
+
+function snapshotEntry(entry) {
+  return {
+    activity: entry.activity,
+    amount: entry.amount,
+    unit: entry.unit,
+    loggedOn: entry.loggedOn,
+  };
+}
+
+function assertEntryEditable(entry) {
+  if (entry.challenges.some((challenge) => challenge.status === "closed")) {
+    throw new ChallengeError("Registros de desafios encerrados não podem ser alterados.", 409);
+  }
+}
+
+function recordAudit(entry, userId, actorId, action, before, after) {
+  const insertAudit = db.prepare(
+    `INSERT INTO exercise_log_audit
+      (activity_id, challenge_id, user_id, actor_id, action, before_json, after_json, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const now = new Date().toISOString();
+  entry.challenges.forEach((challenge) => {
+    insertAudit.run(
+      entry.activityId,
+      challenge.id,
+      userId,
+      actorId,
+      action,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      now
+    );
+  });
+}
+
+function updateActivity(
+  userId,
+  activityId,
+  { activityTypeId, activity, amount, loggedOn },
+  actorId = userId
+) {
+  const entry = getActivityEntry(userId, activityId);
+  assertEntryEditable(entry);
+  const { type, amount: value } = resolveActivity({ activityTypeId, activity, amount });
+  const day = resolveLogDate(loggedOn || entry.loggedOn.slice(0, 10));
+  const outside = entry.challenges.find(
+    (challenge) => day < challenge.start_date || day > challenge.end_date
+  );
+  if (outside) {
+    throw new ChallengeError(
+      `A data do treino deve estar entre ${outside.start_date} e ${outside.end_date} (${outside.title}).`
+    );
+  }
+
+  const after = { activity: type.name, amount: value, unit: type.unit, loggedOn: day };
+  const transaction = db.transaction(() => {
+    db.prepare(
+      `UPDATE exercise_logs
+       SET activity = ?, activity_type_id = ?, amount = ?, unit = ?, logged_on = ?
+       WHERE user_id = ? AND activity_id = ?`
+    ).run(type.name, type.id, value, type.unit, day, userId, activityId);
+    recordAudit(entry, userId, actorId, "update", snapshotEntry(entry), after);
+  });
+
+  transaction();
+  checkActivityBadges(userId, entry.challenges.map((challenge) => challenge.id));
+  return { ...entry, ...after, activityTypeId: type.id };
+}
+
+function deleteActivity(userId, activityId, actorId = userId) {
+  const entry = getActivityEntry(userId, activityId);
+  assertEntryEditable(entry);
+  const transaction = db.transaction(() => {
+    ["log_reactions", "log_comments"].forEach((table) => {
+      db.prepare(
+        `DELETE FROM ${table} WHERE log_id IN
+          (SELECT id FROM exercise_logs WHERE user_id = ? AND activity_id = ?)`
+      ).run(userId, activityId);
+    });
+    db.prepare("DELETE FROM activity_photos WHERE activity_id = ?").run(activityId);
+    db.prepare("DELETE FROM exercise_logs WHERE user_id = ? AND activity_id = ?").run(
+      userId,
+      activityId
+    );
+    recordAudit(entry, userId, actorId, "delete", snapshotEntry(entry), null);
+  });
+
+  transaction();
+  return entry;
+}
+
+function getChallengeAudit(challengeId) {
+  return db
+    .prepare(
+      `SELECT a.*, u.name AS user_name, actor.name AS actor_name
+       FROM exercise_log_audit a
+       LEFT JOIN users u ON u.id = a.user_id
+       LEFT JOIN users actor ON actor.id = a.actor_id
+       WHERE a.challenge_id = ?
+       ORDER BY a.created_at DESC, a.id DESC`
+    )
+    .all(challengeId)
+    .map((row) => ({
+      ...row,
+      before: row.before_json ? JSON.parse(row.before_json) : null,
+      after: row.after_json ? JSON.parse(row.after_json) : null,
+    }));
+}
+
+function getWeeklySeries(userId, today = new Date()) {
+  const getWeekStart = (date) => {
+    const d = new Date(date);
+    const day = d.getDay() || 7;
+    d.setDate(d.getDate() - (day - 1));
+    d.setHours(0, 0, 0, 0);
+    return d;
+  };
+  const weekStart = getWeekStart(today);
+  const dates = Array.from({ length: 7 }, (_, idx) => {
+    const d = new Date(weekStart);
+    d.setDate(weekStart.getDate() + idx);
+    return d.toISOString().slice(0, 10);
+  });
+  const dayNames = ["Seg", "Ter", "Qua", "Qui", "Sex", "Sab", "Dom"];
+  const logs = db
+    .prepare(
+      `SELECT substr(logged_on, 1, 10) AS day, COUNT(DISTINCT COALESCE(activity_id, CAST(id AS TEXT))) AS total
+       FROM exercise_logs
+       WHERE user_id = ? AND substr(logged_on, 1, 10) >= ? AND substr(logged_on, 1, 10) <= ?
+       GROUP BY day`
+    )
+    .all(userId, dates[0], dates[6]);
+  const dayMap = new Map(logs.map((row) => [row.day, row.total]));
+  return dates.map((date) => {
+    const [, month, day] = date.split("-");
+    const dayNameIndex = new Date(`${date}T00:00:00`).getDay();
+    const labelIndex = dayNameIndex === 0 ? 6 : dayNameIndex - 1;
+    return {
+      date,
+      label: dayNames[labelIndex],
+      dateLabel: `${day}-${month}`,
+      total: dayMap.get(date) || 0,
+    };
+  });
+}
+
+function getProfileStats(userId) {
+  const createdCount = db
+    .prepare("SELECT COUNT(*) AS total FROM challenges WHERE creator_id = ?")
+    .get(userId).total;
+  const joinedCount = db
+    .prepare(
+      "SELECT COUNT(*) AS total FROM challenge_participants WHERE user_id = ?"
+    )
+    .get(userId).total;
+  const exerciseCount = db
+    .prepare(
+      "SELECT COUNT(DISTINCT COALESCE(activity_id, CAST(id AS TEXT))) AS total FROM exercise_logs WHERE user_id = ?"
+    )
+    .get(userId).total;
+  const activityBreakdown = db
+    .prepare(
+      `SELECT activity, COUNT(DISTINCT COALESCE(activity_id, CAST(id AS TEXT))) AS total
+       FROM exercise_logs
+       WHERE user_id = ? AND activity IS NOT NULL AND activity != ''
+       GROUP BY activity
+       ORDER BY total DESC`
+    )
+    .all(userId);
+
+  return {
+    createdCount,
+    joinedCount,
+    exerciseCount,
+    activityBreakdown,
+    weeklySeries: getWeeklySeries(userId),
+  };
+}
+
+module.exports = {
+  ChallengeError,
+  getActivityTypes,
+  isParticipant,
+  isRemovedFrom,
+  addParticipant,
+  generateActivityId,
+  getVisibleChallenges,
+  logActivity,
+  logChallengeActivity,
+  getProfileStats,
+  getActivityHistory,
+  getActivityEntry,
+  updateActivity,
+  deleteActivity,
+  getChallengeAudit,
+};
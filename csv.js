@@ -0,0 +1,74 @@
+// Minimal CSV reading/writing for exports and the admin import. Output uses a
+// BOM and commas so spreadsheets open it with accents intact; input accepts
+// comma or semicolon separators (pt-BR Excel saves with semicolons).
+
+function escapeCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  // Keep spreadsheets from evaluating text cells as formulas.
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, label }]
+function toCsv(columns, rows) {
+  const lines = [columns.map((column) => escapeCell(column.label)).join(",")];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCell(row[column.key])).join(","));
+  });
+  return `\ufeff${lines.join("\r\n")}\r\n`;
+}
+
+function detectSeparator(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+}
+
+// Returns an array of rows (arrays of trimmed strings), skipping blank lines.
+function parseCsv(input) {
+  const text = String(input || "").replace(/^\ufeff/, "");
+  const separator = detectSeparator(text);
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i += 1;
+      }
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value !== ""));
+}
+
+module.exports = { toCsv, parseCsv };
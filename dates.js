@@ -0,0 +1,23 @@
+function toDateOnly(value) {
+  return new Date(`${value}T00:00:00`);
+}
+
+function getLocalDateString(date = new Date()) {
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 10);
+}
+
+function daysRemaining(endDate) {
+  const today = new Date(`${getLocalDateString()}T00:00:00`);
+  const end = toDateOnly(endDate);
+  const diffMs = end.getTime() - toDateOnly(today.toISOString().slice(0, 10)).getTime();
+  return Math.max(Math.ceil(diffMs / (1000 * 60 * 60 * 24)), 0);
+}
+
+function addDays(value, days) {
+  const date = toDateOnly(value);
+  date.setDate(date.getDate() + days);
+  return getLocalDateString(date);
+}
+
+module.exports = { toDateOnly, getLocalDateString, daysRemaining, addDays };
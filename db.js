@@ -1,94 +1,72 @@
 const path = require("path");
 const Database = require("better-sqlite3");
+const { migrate } = require("./migrate");
+const { openPostgres } = require("./postgres");
 
-const dbPath = process.env.DB_PATH || path.join(__dirname, "app.db");
-const db = new Database(dbPath);
+// DATABASE_URL=postgres://... switches to PostgreSQL; otherwise SQLite at
+// DB_PATH (app.db by default). Both expose the better-sqlite3 interface.
+const databaseUrl = process.env.DATABASE_URL || "";
+const dialect = /^postgres(ql)?:\/\//.test(databaseUrl) ? "postgres" : "sqlite";
 
-function initDb() {
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      email TEXT NOT NULL UNIQUE,
-      password_hash TEXT NOT NULL,
-      role TEXT NOT NULL DEFAULT 'participant',
-      goal_exercises INTEGER DEFAULT 0,
-      created_at TEXT NOT NULL
-    );
-
-    CREATE TABLE IF NOT EXISTS challenges (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      title TEXT NOT NULL,
-      description TEXT,
-      start_date TEXT NOT NULL,
-      end_date TEXT NOT NULL,
-      goal_count INTEGER NOT NULL,
-      group_goal INTEGER,
-      status TEXT NOT NULL DEFAULT 'active',
-      prize TEXT,
-      penalty TEXT,
-      invite_code TEXT,
-      created_at TEXT NOT NULL,
-      creator_id INTEGER NOT NULL,
-      FOREIGN KEY(creator_id) REFERENCES users(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS challenge_participants (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      challenge_id INTEGER NOT NULL,
-      joined_at TEXT NOT NULL,
-      UNIQUE(user_id, challenge_id),
-      FOREIGN KEY(user_id) REFERENCES users(id),
-      FOREIGN KEY(challenge_id) REFERENCES challenges(id)
-    );
-
-    CREATE TABLE IF NOT EXISTS exercise_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      challenge_id INTEGER NOT NULL,
-      count INTEGER NOT NULL,
-      activity TEXT,
-      activity_id TEXT,
-      logged_on TEXT NOT NULL,
-      created_at TEXT NOT NULL,
-      FOREIGN KEY(user_id) REFERENCES users(id),
-      FOREIGN KEY(challenge_id) REFERENCES challenges(id)
-    );
-  `);
+function openSqlite(file, options = {}) {
+  const sqlite = new Database(file, options);
+  sqlite.dialect = "sqlite";
+  // SQLite leaves foreign key enforcement off unless asked, per connection.
+  sqlite.pragma("foreign_keys = ON");
+  return sqlite;
+}
 
-  const columns = db.prepare("PRAGMA table_info(exercise_logs)").all();
-  const hasActivity = columns.some((col) => col.name === "activity");
-  if (!hasActivity) {
-    db.exec("ALTER TABLE exercise_logs ADD COLUMN activity TEXT");
-  }
+const db =
+  dialect === "postgres"
+    ? openPostgres(databaseUrl)
+    : openSqlite(process.env.DB_PATH || path.join(__dirname, "app.db"));
 
-  const hasActivityId = columns.some((col) => col.name === "activity_id");
-  if (!hasActivityId) {
-    db.exec("ALTER TABLE exercise_logs ADD COLUMN activity_id TEXT");
-  }
-
-  const challengeColumns = db.prepare("PRAGMA table_info(challenges)").all();
-  const hasInvite = challengeColumns.some((col) => col.name === "invite_code");
-  if (!hasInvite) {
-    db.exec("ALTER TABLE challenges ADD COLUMN invite_code TEXT");
+// Sessions live next to the data: a `session` table on Postgres, sessions.db
+// beside the app on SQLite.
+function createSessionStore(session) {
+  if (dialect === "postgres") {
+    const PgStore = require("connect-pg-simple")(session);
+    return new PgStore({ conString: databaseUrl, createTableIfMissing: true });
   }
+  const SQLiteStore = require("connect-sqlite3")(session);
+  return new SQLiteStore({ db: "sessions.db", dir: __dirname });
+}
 
-  const hasGroupGoal = challengeColumns.some((col) => col.name === "group_goal");
-  if (!hasGroupGoal) {
-    db.exec("ALTER TABLE challenges ADD COLUMN group_goal INTEGER");
-  }
+const DEFAULT_ACTIVITY_TYPES = [
+  ["Corrida", "km"],
+  ["Caminhada", "km"],
+  ["Ciclismo", "km"],
+  ["Natação", "minutes"],
+  ["Academia", "minutes"],
+  ["Yoga", "minutes"],
+  ["Flexões", "reps"],
+  ["Abdominais", "reps"],
+  ["Agachamentos", "reps"],
+  ["Passos", "steps"],
+];
 
-  const hasStatus = challengeColumns.some((col) => col.name === "status");
-  if (!hasStatus) {
-    db.exec("ALTER TABLE challenges ADD COLUMN status TEXT NOT NULL DEFAULT 'active'");
+// Fills an empty activity catalog with the default types.
+function seedActivityTypes(target) {
+  const activityTypeCount = target
+    .prepare("SELECT COUNT(*) AS total FROM activity_types")
+    .get().total;
+  if (activityTypeCount) {
+    return;
   }
+  const insertType = target.prepare(
+    "INSERT INTO activity_types (name, unit, created_at) VALUES (?, ?, ?)"
+  );
+  const now = new Date().toISOString();
+  DEFAULT_ACTIVITY_TYPES.forEach(([name, unit]) => insertType.run(name, unit, now));
+}
 
-  const userColumns = db.prepare("PRAGMA table_info(users)").all();
-  const hasGoal = userColumns.some((col) => col.name === "goal_exercises");
-  if (!hasGoal) {
-    db.exec("ALTER TABLE users ADD COLUMN goal_exercises INTEGER DEFAULT 0");
-  }
+// Brings the schema up to date (see migrations/) and seeds the activity
+// catalog on an empty database.
+function initDb() {
+  migrate(db).forEach((migration) => {
+    console.log(`[migrate] ${migration.version} ${migration.name} aplicada.`);
+  });
+  seedActivityTypes(db);
 }
 
-module.exports = { db, initDb };
+module.exports = { db, dialect, openSqlite, createSessionStore, seedActivityTypes, initDb };
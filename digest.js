@@ -0,0 +1,308 @@
+const path = require("path");
+const ejs = require("ejs");
+
+const { db, initDb } = require("./db");
+const { sendMail, getAppUrl } = require("./mailer");
+const { getLocalDateString, addDays } = require("./dates");
+const { scoreLabel, getLeaderboard } = require("./scoring");
+const { getGroupTarget } = require("./teams");
+
+const DIGEST_PERIOD_DAYS = 7;
+const MAX_DELIVERY_ATTEMPTS = 3;
+// Wait before the 2nd and 3rd attempts.
+const RETRY_DELAY_HOURS = [1, 6];
+const templatePath = path.join(__dirname, "views", "email_weekly_digest.ejs");
+
+function isDigestDue(challenge, today) {
+  const lastDigest = db
+    .prepare(
+      "SELECT period_end FROM challenge_digests WHERE challenge_id = ? ORDER BY id DESC LIMIT 1"
+    )
+    .get(challenge.id);
+  const reference = lastDigest ? lastDigest.period_end : addDays(challenge.start_date, -1);
+  return reference <= addDays(today, -DIGEST_PERIOD_DAYS);
+}
+
+function buildChallengeDigest(challenge, today = getLocalDateString()) {
+  const periodEnd = today;
+  const periodStart = addDays(today, -(DIGEST_PERIOD_DAYS - 1));
+
+  const rows = getLeaderboard(challenge);
+  const weekTotals = new Map(
+    getLeaderboard(challenge, { from: periodStart, to: periodEnd }).map((row) => [
+      row.user_id,
+      row.total,
+    ])
+  );
+
+  const lastDigest = db
+    .prepare(
+      "SELECT ranking_json FROM challenge_digests WHERE challenge_id = ? ORDER BY id DESC LIMIT 1"
+    )
+    .get(challenge.id);
+  const previousRanking = lastDigest ? JSON.parse(lastDigest.ranking_json) : [];
+
+  const ranking = rows.map((row, index) => {
+    const previousIndex = previousRanking.indexOf(row.user_id);
+    return {
+      userId: row.user_id,
+      name: row.name,
+      total: row.total,
+      weekTotal: weekTotals.get(row.user_id) || 0,
+      position: index + 1,
+      change: previousIndex === -1 ? null : previousIndex - index,
+    };
+  });
+
+  const topPerformers = ranking
+    .filter((row) => row.weekTotal > 0)
+    .sort((a, b) => b.weekTotal - a.weekTotal || a.name.localeCompare(b.name))
+    .slice(0, 3);
+  const inactive = ranking.filter((row) => row.weekTotal === 0);
+
+  const groupTarget = getGroupTarget(challenge, ranking.length);
+  const groupDone = Math.round(ranking.reduce((sum, row) => sum + row.total, 0) * 100) / 100;
+  const groupProgress = groupTarget
+    ? Math.min(Math.round((groupDone / groupTarget) * 100), 100)
+    : 0;
+
+  return {
+    challenge,
+    unitLabel: scoreLabel(challenge),
+    periodStart,
+    periodEnd,
+    ranking,
+    topPerformers,
+    inactive,
+    groupTarget,
+    groupDone,
+    groupProgress,
+    weekTotal: Math.round(ranking.reduce((sum, row) => sum + row.weekTotal, 0) * 100) / 100,
+  };
+}
+
+function formatChange(change) {
+  if (change === null) {
+    return "novo";
+  }
+  if (change > 0) {
+    return `+${change}`;
+  }
+  return change < 0 ? String(change) : "=";
+}
+
+function renderDigestText(digest, recipient) {
+  const lines = [
+    `Resumo semanal: ${digest.challenge.title}`,
+    `Periodo: ${digest.periodStart} a ${digest.periodEnd}`,
+    "",
+  ];
+  if (recipient.position) {
+    lines.push(`Sua posicao: #${recipient.position} (${recipient.total} ${digest.unitLabel})`, "");
+  }
+  lines.push(
+    `Progresso do grupo: ${digest.groupDone} / ${digest.groupTarget} (${digest.groupProgress}%)`,
+    `Total na semana: ${digest.weekTotal} ${digest.unitLabel}`,
+    "",
+    "Ranking:"
+  );
+  digest.ranking.forEach((row) => {
+    lines.push(`#${row.position} ${row.name} - ${row.total} (${formatChange(row.change)})`);
+  });
+  if (digest.topPerformers.length) {
+    lines.push("", "Destaques da semana:");
+    digest.topPerformers.forEach((row) => {
+      lines.push(`- ${row.name}: ${row.weekTotal} ${digest.unitLabel}`);
+    });
+  }
+  if (digest.inactive.length) {
+    lines.push("", `Sem registros na semana: ${digest.inactive.map((row) => row.name).join(", ")}`);
+  }
+  lines.push("", `Para deixar de receber este resumo, acesse ${getAppUrl()}/perfil`);
+  return lines.join("\n");
+}
+
+async function sendDigestMail(digest, user) {
+  const position = digest.ranking.find((row) => row.userId === user.id) || {};
+  const recipient = { ...user, position: position.position, total: position.total || 0 };
+  const html = await ejs.renderFile(templatePath, {
+    digest,
+    recipient,
+    formatChange,
+    appUrl: getAppUrl(),
+  });
+  await sendMail({
+    to: user.email,
+    subject: `Resumo semanal - ${digest.challenge.title}`,
+    text: renderDigestText(digest, recipient),
+    html,
+  });
+}
+
+function closeDelivery(deliveryId, reason) {
+  db.prepare(
+    `UPDATE challenge_digest_deliveries
+     SET attempts = ?, last_error = ?, next_attempt_at = NULL
+     WHERE id = ?`
+  ).run(MAX_DELIVERY_ATTEMPTS, reason, deliveryId);
+}
+
+// Sends a stored digest to each recipient whose turn has come and records
+// every attempt, so one bad address does not hold back (or repeat) the others.
+// Recipients who left, opted out or lost their confirmed e-mail in the
+// meantime are closed as skipped. Returns how many were sent.
+async function deliverDigest(digestId, now = new Date()) {
+  const { digest_json: digestJson } = db
+    .prepare("SELECT digest_json FROM challenge_digests WHERE id = ?")
+    .get(digestId);
+  const digest = JSON.parse(digestJson);
+  const pending = db
+    .prepare(
+      `SELECT d.id AS delivery_id, d.attempts, u.id, u.name, u.email, u.email_verified_at,
+         cp.digest_opt_in
+       FROM challenge_digest_deliveries d
+       JOIN users u ON u.id = d.user_id
+       LEFT JOIN challenge_participants cp
+         ON cp.user_id = d.user_id AND cp.challenge_id = d.challenge_id
+       WHERE d.digest_id = ? AND d.sent_at IS NULL AND d.attempts < ?
+         AND (d.next_attempt_at IS NULL OR d.next_attempt_at <= ?)`
+    )
+    .all(digestId, MAX_DELIVERY_ATTEMPTS, now.toISOString());
+
+  let sent = 0;
+  for (const row of pending) {
+    const { delivery_id: deliveryId, attempts, email_verified_at: verifiedAt } = row;
+    const user = { id: row.id, name: row.name, email: row.email };
+    if (row.digest_opt_in !== 1 || !verifiedAt) {
+      closeDelivery(deliveryId, "Ignorado: fora do desafio, sem resumo ou e-mail não confirmado.");
+      continue;
+    }
+    try {
+      await sendDigestMail(digest, user);
+      db.prepare(
+        `UPDATE challenge_digest_deliveries
+         SET attempts = attempts + 1, sent_at = ?, last_error = NULL
+         WHERE id = ?`
+      ).run(new Date().toISOString(), deliveryId);
+      sent += 1;
+    } catch (err) {
+      console.error(
+        `[digest] Falha ao enviar resumo do desafio ${digest.challenge.id} para ${user.email}:`,
+        err
+      );
+      const delayHours = RETRY_DELAY_HOURS[attempts];
+      db.prepare(
+        `UPDATE challenge_digest_deliveries
+         SET attempts = attempts + 1, last_error = ?, next_attempt_at = ?
+         WHERE id = ?`
+      ).run(
+        String(err.message || err).slice(0, 500),
+        delayHours ? new Date(now.getTime() + delayHours * 60 * 60 * 1000).toISOString() : null,
+        deliveryId
+      );
+    }
+  }
+  return sent;
+}
+
+// The digest row goes in before any mail is sent: the week counts as done even
+// if some sends fail, and those are retried alone by runDigests.
+async function sendChallengeDigest(challenge, today = getLocalDateString()) {
+  const digest = buildChallengeDigest(challenge, today);
+  const recipients = db
+    .prepare(
+      `SELECT u.id
+       FROM challenge_participants cp
+       JOIN users u ON u.id = cp.user_id
+       WHERE cp.challenge_id = ? AND cp.digest_opt_in = 1 AND u.email_verified_at IS NOT NULL`
+    )
+    .all(challenge.id);
+
+  const digestId = db.transaction(() => {
+    const { lastInsertRowid } = db
+      .prepare(
+        `INSERT INTO challenge_digests
+          (challenge_id, period_start, period_end, ranking_json, recipients, sent_at, digest_json)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        challenge.id,
+        digest.periodStart,
+        digest.periodEnd,
+        JSON.stringify(digest.ranking.map((row) => row.userId)),
+        recipients.length,
+        new Date().toISOString(),
+        JSON.stringify(digest)
+      );
+    const insertDelivery = db.prepare(
+      "INSERT INTO challenge_digest_deliveries (digest_id, challenge_id, user_id) VALUES (?, ?, ?)"
+    );
+    recipients.forEach((user) => insertDelivery.run(lastInsertRowid, challenge.id, user.id));
+    return lastInsertRowid;
+  })();
+
+  return deliverDigest(digestId);
+}
+
+async function retryFailedDeliveries(now = new Date()) {
+  const digests = db
+    .prepare(
+      `SELECT DISTINCT digest_id FROM challenge_digest_deliveries
+       WHERE sent_at IS NULL AND attempts < ?
+         AND (next_attempt_at IS NULL OR next_attempt_at <= ?)`
+    )
+    .all(MAX_DELIVERY_ATTEMPTS, now.toISOString());
+  for (const { digest_id: digestId } of digests) {
+    try {
+      await deliverDigest(digestId, now);
+    } catch (err) {
+      console.error(`[digest] Falha ao reenviar o resumo ${digestId}:`, err);
+    }
+  }
+}
+
+async function runDigests({ force = false } = {}) {
+  await retryFailedDeliveries();
+
+  const today = getLocalDateString();
+  const challenges = db
+    .prepare("SELECT * FROM challenges WHERE status = 'active' AND start_date <= ?")
+    .all(today);
+
+  let sent = 0;
+  for (const challenge of challenges) {
+    if (!force && !isDigestDue(challenge, today)) {
+      continue;
+    }
+    try {
+      await sendChallengeDigest(challenge, today);
+      sent += 1;
+    } catch (err) {
+      console.error(`[digest] Falha ao enviar resumo do desafio ${challenge.id}:`, err);
+    }
+  }
+  return sent;
+}
+
+function startDigestScheduler() {
+  if (process.env.DIGEST_ENABLED === "false") {
+    return null;
+  }
+  const intervalMs = Number(process.env.DIGEST_CHECK_MINUTES || 60) * 60 * 1000;
+  const tick = () =>
+    runDigests().catch((err) => console.error("[digest] Falha na rotina de resumos:", err));
+  tick();
+  return setInterval(tick, intervalMs);
+}
+
+module.exports = { buildChallengeDigest, sendChallengeDigest, runDigests, startDigestScheduler };
+
+if (require.main === module) {
+  initDb();
+  runDigests({ force: process.argv.includes("--force") })
+    .then((count) => console.log(`[digest] ${count} resumo(s) enviado(s).`))
+    .catch((err) => {
+      console.error(err);
+      process.exitCode = 1;
+    });
+}
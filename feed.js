@@ -0,0 +1,264 @@
+const { db } = require("./db");
+const { ChallengeError, isParticipant } = require("./challenges");
+
+const REACTIONS = ["👏", "🔥", "💪", "❤️"];
+const REVIEW_LABELS = { flagged: "Em análise", rejected: "Rejeitado" };
+const FEED_PAGE_SIZE = 15;
+const MAX_COMMENT_LENGTH = 500;
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+// Sniffed from the first bytes instead of trusting the upload's content type.
+const PHOTO_SIGNATURES = [
+  { mime: "image/jpeg", test: (data) => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+  { mime: "image/png", test: (data) => data.toString("hex", 0, 8) === "89504e470d0a1a0a" },
+  { mime: "image/gif", test: (data) => data.toString("ascii", 0, 4) === "GIF8" },
+  {
+    mime: "image/webp",
+    test: (data) => data.toString("ascii", 0, 4) === "RIFF" && data.toString("ascii", 8, 12) === "WEBP",
+  },
+];
+
+function assertMember(challenge, userId) {
+  if (!isParticipant(userId, challenge.id)) {
+    throw new ChallengeError("Entre no desafio para interagir com o feed.", 403);
+  }
+}
+
+function getFeedLog(challengeId, logId) {
+  const log = db
+    .prepare("SELECT * FROM exercise_logs WHERE id = ? AND challenge_id = ?")
+    .get(Number(logId), challengeId);
+  if (!log) {
+    throw new ChallengeError("Registro não encontrado.", 404);
+  }
+  return log;
+}
+
+// Logs kept after someone leaves or is removed stay out of the feed, as they
+// do on the leaderboard, until the person is back in the challenge.
+function getFeed(challengeId, viewerId, { page = 1, pageSize = FEED_PAGE_SIZE } = {}) {
+  const offset = (Math.max(page, 1) - 1) * pageSize;
+  const rows = db
+    .prepare(
+      `SELECT e.id, e.user_id, u.name AS user_name, e.activity, e.activity_id, e.amount, e.unit,
+        e.logged_on, e.created_at, e.source, e.duration_seconds, e.distance_km,
+        e.review_status, e.review_note,
+        EXISTS (SELECT 1 FROM activity_photos p WHERE p.activity_id = e.activity_id) AS has_photo
+       FROM exercise_logs e
+       JOIN users u ON u.id = e.user_id
+       JOIN challenge_participants cp ON cp.challenge_id = e.challenge_id AND cp.user_id = e.user_id
+       WHERE e.challenge_id = ?
+       ORDER BY e.created_at DESC, e.id DESC
+       LIMIT ? OFFSET ?`
+    )
+    .all(challengeId, pageSize + 1, offset);
+  const items = rows.slice(0, pageSize);
+  if (!items.length) {
+    return { items, hasMore: false };
+  }
+
+  const ids = items.map((item) => item.id);
+  const placeholders = ids.map(() => "?").join(", ");
+  const reactions = db
+    .prepare(
+      `SELECT log_id, emoji, COUNT(*) AS total, MAX(CASE WHEN user_id = ? THEN 1 ELSE 0 END) AS mine
+       FROM log_reactions WHERE log_id IN (${placeholders})
+       GROUP BY log_id, emoji`
+    )
+    .all(viewerId, ...ids);
+  const comments = db
+    .prepare(
+      `SELECT c.id, c.log_id, c.user_id, u.name AS user_name, c.body, c.created_at
+       FROM log_comments c
+       JOIN users u ON u.id = c.user_id
+       WHERE c.log_id IN (${placeholders})
+       ORDER BY c.created_at ASC, c.id ASC`
+    )
+    .all(...ids);
+
+  return {
+    items: items.map((item) => ({
+      ...item,
+      reactions: REACTIONS.map((emoji) => {
+        const row = reactions.find((reaction) => reaction.log_id === item.id && reaction.emoji === emoji);
+        return { emoji, total: row ? row.total : 0, mine: Boolean(row && row.mine) };
+      }),
+      comments: comments.filter((comment) => comment.log_id === item.id),
+    })),
+    hasMore: rows.length > pageSize,
+  };
+}
+
+// Returns true when the reaction was added, false when it was taken back.
+function toggleReaction(challenge, logId, userId, emoji) {
+  assertMember(challenge, userId);
+  const log = getFeedLog(challenge.id, logId);
+  if (!REACTIONS.includes(emoji)) {
+    throw new ChallengeError("Reação inválida.");
+  }
+
+  const removed = db
+    .prepare("DELETE FROM log_reactions WHERE log_id = ? AND user_id = ? AND emoji = ?")
+    .run(log.id, userId, emoji);
+  if (removed.changes) {
+    return false;
+  }
+  db.prepare(
+    `INSERT INTO log_reactions (log_id, challenge_id, user_id, emoji, created_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).run(log.id, challenge.id, userId, emoji, new Date().toISOString());
+  return true;
+}
+
+function addComment(challenge, logId, userId, body) {
+  assertMember(challenge, userId);
+  const log = getFeedLog(challenge.id, logId);
+  const text = String(body || "").trim();
+  if (!text) {
+    throw new ChallengeError("Escreva um comentário.");
+  }
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw new ChallengeError(`O comentário pode ter até ${MAX_COMMENT_LENGTH} caracteres.`);
+  }
+  db.prepare(
+    `INSERT INTO log_comments (log_id, challenge_id, user_id, body, created_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).run(log.id, challenge.id, userId, text, new Date().toISOString());
+  return log;
+}
+
+// Authors delete their own comments; organizers can remove any of them.
+function deleteComment(challenge, commentId, userId, canModerate = false) {
+  const comment = db
+    .prepare("SELECT * FROM log_comments WHERE id = ? AND challenge_id = ?")
+    .get(Number(commentId), challenge.id);
+  if (!comment) {
+    throw new ChallengeError("Comentário não encontrado.", 404);
+  }
+  if (comment.user_id !== userId && !canModerate) {
+    throw new ChallengeError("Você só pode excluir seus próprios comentários.", 403);
+  }
+  db.prepare("DELETE FROM log_comments WHERE id = ?").run(comment.id);
+  return comment;
+}
+
+// status is 'flagged', 'rejected' or null (back to a normal entry). Reviews
+// are written to the challenge audit next to participants' edits.
+function reviewLog(challenge, logId, actorId, status, note) {
+  if (status !== null && !REVIEW_LABELS[status]) {
+    throw new ChallengeError("Situação inválida.");
+  }
+  if (challenge.status === "closed") {
+    throw new ChallengeError("Reabra o desafio para revisar registros.", 409);
+  }
+  const log = getFeedLog(challenge.id, logId);
+  if ((log.review_status || null) === status) {
+    return log;
+  }
+
+  const now = new Date().toISOString();
+  const reviewNote = status ? String(note || "").trim().slice(0, 200) || null : null;
+  db.transaction(() => {
+    db.prepare(
+      `UPDATE exercise_logs
+       SET review_status = ?, review_note = ?, reviewed_by = ?, reviewed_at = ?
+       WHERE id = ?`
+    ).run(status, reviewNote, status ? actorId : null, status ? now : null, log.id);
+    db.prepare(
+      `INSERT INTO exercise_log_audit
+        (activity_id, challenge_id, user_id, actor_id, action, before_json, after_json, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, NULL, ?)`
+    ).run(
+      log.activity_id,
+      challenge.id,
+      log.user_id,
+      actorId,
+      status ? (status === "rejected" ? "reject" : "flag") : "approve",
+      JSON.stringify({
+        activity: log.activity,
+        amount: log.amount,
+        unit: log.unit,
+        loggedOn: log.logged_on,
+        note: reviewNote,
+      }),
+      now
+    );
+  })();
+  return { ...log, review_status: status };
+}
+
+function attachPhoto(userId, activityId, file) {
+  const owned = db
+    .prepare("SELECT id FROM exercise_logs WHERE user_id = ? AND activity_id = ? LIMIT 1")
+    .get(userId, activityId);
+  if (!owned) {
+    throw new ChallengeError("Atividade não encontrada.", 404);
+  }
+  if (!file || !file.data.length) {
+    throw new ChallengeError("Escolha uma foto.");
+  }
+  if (file.data.length > MAX_PHOTO_BYTES) {
+    throw new ChallengeError("A foto pode ter até 5 MB.");
+  }
+  const signature = PHOTO_SIGNATURES.find((item) => item.test(file.data));
+  if (!signature) {
+    throw new ChallengeError("Envie uma imagem JPG, PNG, GIF ou WebP.");
+  }
+
+  db.prepare(
+    `INSERT INTO activity_photos (activity_id, user_id, mime, data, created_at)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(activity_id) DO UPDATE SET mime = excluded.mime, data = excluded.data,
+       created_at = excluded.created_at`
+  ).run(activityId, userId, signature.mime, file.data, new Date().toISOString());
+}
+
+function removePhoto(userId, activityId) {
+  const result = db
+    .prepare("DELETE FROM activity_photos WHERE user_id = ? AND activity_id = ?")
+    .run(userId, activityId);
+  if (!result.changes) {
+    throw new ChallengeError("Foto não encontrada.", 404);
+  }
+}
+
+// Photos belong to an activity, which can outlive some of its logs; called
+// after logs are deleted in bulk (participant removal, challenge deletion).
+function deleteOrphanPhotos() {
+  db.prepare(
+    `DELETE FROM activity_photos
+     WHERE activity_id NOT IN (SELECT activity_id FROM exercise_logs WHERE activity_id IS NOT NULL)`
+  ).run();
+}
+
+// The owner, admins and anyone in a challenge the activity was logged to.
+function getPhoto(activityId, viewerId, isAdmin = false) {
+  const photo = db.prepare("SELECT * FROM activity_photos WHERE activity_id = ?").get(activityId);
+  if (!photo || isAdmin || photo.user_id === viewerId) {
+    return photo || null;
+  }
+  const visible = db
+    .prepare(
+      `SELECT 1 FROM exercise_logs e
+       JOIN challenges c ON c.id = e.challenge_id
+       LEFT JOIN challenge_participants cp ON cp.challenge_id = c.id AND cp.user_id = ?
+       WHERE e.activity_id = ? AND (cp.id IS NOT NULL OR c.creator_id = ?)
+       LIMIT 1`
+    )
+    .get(viewerId, activityId, viewerId);
+  return visible ? photo : null;
+}
+
+module.exports = {
+  REACTIONS,
+  REVIEW_LABELS,
+  getFeed,
+  toggleReaction,
+  addComment,
+  deleteComment,
+  reviewLog,
+  attachPhoto,
+  removePhoto,
+  getPhoto,
+  deleteOrphanPhotos,
+};
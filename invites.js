@@ -0,0 +1,254 @@
+const crypto = require("crypto");
+
+const { db } = require("./db");
+const { getLocalDateString } = require("./dates");
+const { ChallengeError, isParticipant, isRemovedFrom, addParticipant } = require("./challenges");
+const { isEmailVerified } = require("./accounts");
+
+function generateInviteCode() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+function getInviteState(invite, today = getLocalDateString()) {
+  if (invite.revoked_at) {
+    return "revoked";
+  }
+  if (invite.expires_on && invite.expires_on < today) {
+    return "expired";
+  }
+  if (invite.max_uses && invite.uses >= invite.max_uses) {
+    return "exhausted";
+  }
+  return "active";
+}
+
+function createInvite(challengeId, { name, expiresOn, maxUses, requiresApproval }, createdBy) {
+  const inviteName = String(name || "").trim() || "Link de convite";
+  const expires = expiresOn ? String(expiresOn) : null;
+  if (expires && (!/^\d{4}-\d{2}-\d{2}$/.test(expires) || expires < getLocalDateString())) {
+    throw new ChallengeError("A validade do convite deve ser uma data a partir de hoje.");
+  }
+  const limit = maxUses === undefined || maxUses === null || maxUses === "" ? null : Number(maxUses);
+  if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+    throw new ChallengeError("O limite de usos deve ser um número inteiro positivo.");
+  }
+
+  const code = generateInviteCode();
+  const result = db
+    .prepare(
+      `INSERT INTO challenge_invites
+        (challenge_id, code, name, expires_on, max_uses, requires_approval, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      challengeId,
+      code,
+      inviteName,
+      expires,
+      limit,
+      requiresApproval ? 1 : 0,
+      createdBy,
+      new Date().toISOString()
+    );
+  return { id: result.lastInsertRowid, code };
+}
+
+function getChallengeInvites(challengeId) {
+  const today = getLocalDateString();
+  return db
+    .prepare(
+      `SELECT i.*,
+        (SELECT COUNT(*) FROM challenge_join_requests r
+         WHERE r.invite_id = i.id AND r.status = 'pending') AS pending_count
+       FROM challenge_invites i
+       WHERE i.challenge_id = ?
+       ORDER BY i.revoked_at IS NOT NULL, i.created_at DESC`
+    )
+    .all(challengeId)
+    .map((invite) => ({ ...invite, state: getInviteState(invite, today) }));
+}
+
+// First invite that can still be used; shown as the default link on the
+// challenge page.
+function getPrimaryInvite(challengeId) {
+  return getChallengeInvites(challengeId).find((invite) => invite.state === "active") || null;
+}
+
+function findChallengeInvite(challengeId, inviteId) {
+  const invite = db
+    .prepare("SELECT * FROM challenge_invites WHERE id = ? AND challenge_id = ?")
+    .get(inviteId, challengeId);
+  if (!invite) {
+    throw new ChallengeError("Convite não encontrado.", 404);
+  }
+  return invite;
+}
+
+function regenerateInvite(challengeId, inviteId) {
+  const invite = findChallengeInvite(challengeId, inviteId);
+  if (invite.revoked_at) {
+    throw new ChallengeError("Este convite foi revogado.", 409);
+  }
+  const code = generateInviteCode();
+  db.prepare("UPDATE challenge_invites SET code = ? WHERE id = ?").run(code, invite.id);
+  return code;
+}
+
+function revokeInvite(challengeId, inviteId) {
+  const invite = findChallengeInvite(challengeId, inviteId);
+  if (invite.revoked_at) {
+    throw new ChallengeError("Este convite já foi revogado.", 409);
+  }
+  db.transaction(() => {
+    const now = new Date().toISOString();
+    db.prepare("UPDATE challenge_invites SET revoked_at = ? WHERE id = ?").run(now, invite.id);
+    db.prepare(
+      `UPDATE challenge_join_requests SET status = 'rejected', decided_at = ?
+       WHERE invite_id = ? AND status = 'pending'`
+    ).run(now, invite.id);
+  })();
+}
+
+function getInviteJoins(challengeId) {
+  return db
+    .prepare(
+      `SELECT u.name, cp.joined_at, i.name AS invite_name
+       FROM challenge_participants cp
+       JOIN users u ON u.id = cp.user_id
+       JOIN challenge_invites i ON i.id = cp.invite_id
+       WHERE cp.challenge_id = ?
+       ORDER BY cp.joined_at DESC`
+    )
+    .all(challengeId);
+}
+
+function getJoinRequests(challengeId) {
+  return db
+    .prepare(
+      `SELECT r.id, r.created_at, u.name, u.email, i.name AS invite_name
+       FROM challenge_join_requests r
+       JOIN users u ON u.id = r.user_id
+       LEFT JOIN challenge_invites i ON i.id = r.invite_id
+       WHERE r.challenge_id = ? AND r.status = 'pending'
+       ORDER BY r.created_at ASC`
+    )
+    .all(challengeId);
+}
+
+function getPendingRequest(userId, challengeId) {
+  return db
+    .prepare(
+      `SELECT * FROM challenge_join_requests
+       WHERE user_id = ? AND challenge_id = ? AND status = 'pending'`
+    )
+    .get(userId, challengeId);
+}
+
+// Checks shared by joining through an invite and by approving a request made
+// through one: the invite may have changed while the request waited.
+function assertCanJoinThrough(invite, challenge, userId) {
+  if (challenge.status !== "active") {
+    throw new ChallengeError("Este desafio está encerrado.", 409);
+  }
+  if (isRemovedFrom(userId, challenge.id)) {
+    throw new ChallengeError(
+      "Você foi removido deste desafio. Peça a um organizador para adicioná-lo de novo.",
+      409
+    );
+  }
+  const state = invite ? getInviteState(invite) : "active";
+  if (state === "revoked") {
+    throw new ChallengeError("Este convite já foi revogado.", 409);
+  }
+  if (state === "expired") {
+    throw new ChallengeError("Este convite expirou.", 410);
+  }
+  if (state === "exhausted") {
+    throw new ChallengeError("Este convite atingiu o limite de usos.", 409);
+  }
+  if (!isEmailVerified(userId)) {
+    throw new ChallengeError("Confirme seu e-mail antes de entrar em desafios.", 403);
+  }
+}
+
+function decideJoinRequest(challengeId, requestId, approve, actorId) {
+  const request = db
+    .prepare(
+      `SELECT * FROM challenge_join_requests
+       WHERE id = ? AND challenge_id = ? AND status = 'pending'`
+    )
+    .get(requestId, challengeId);
+  if (!request) {
+    throw new ChallengeError("Solicitação não encontrada.", 404);
+  }
+
+  db.transaction(() => {
+    if (approve && !isParticipant(request.user_id, challengeId)) {
+      const invite = request.invite_id
+        ? db.prepare("SELECT * FROM challenge_invites WHERE id = ?").get(request.invite_id)
+        : null;
+      const challenge = db.prepare("SELECT * FROM challenges WHERE id = ?").get(challengeId);
+      assertCanJoinThrough(invite, challenge, request.user_id);
+    }
+    db.prepare(
+      "UPDATE challenge_join_requests SET status = ?, decided_by = ?, decided_at = ? WHERE id = ?"
+    ).run(approve ? "approved" : "rejected", actorId, new Date().toISOString(), request.id);
+    if (approve && !isParticipant(request.user_id, challengeId)) {
+      addParticipant(request.user_id, challengeId, request.invite_id);
+      if (request.invite_id) {
+        db.prepare("UPDATE challenge_invites SET uses = uses + 1 WHERE id = ?").run(
+          request.invite_id
+        );
+      }
+    }
+  })();
+  return request;
+}
+
+// Returns { challenge, joined, pending }. Invites that require approval leave a
+// pending request instead of a participant row until the creator decides.
+function joinChallengeByInvite(userId, code) {
+  const invite = db.prepare("SELECT * FROM challenge_invites WHERE code = ?").get(code);
+  if (!invite || invite.revoked_at) {
+    throw new ChallengeError("Convite invalido.", 404);
+  }
+  const challenge = db.prepare("SELECT * FROM challenges WHERE id = ?").get(invite.challenge_id);
+  if (challenge.status !== "active") {
+    throw new ChallengeError("Este desafio está encerrado.", 409);
+  }
+  if (challenge.creator_id === userId || isParticipant(userId, challenge.id)) {
+    return { challenge, joined: false, pending: false };
+  }
+  if (!isRemovedFrom(userId, challenge.id) && getPendingRequest(userId, challenge.id)) {
+    return { challenge, joined: false, pending: true };
+  }
+  assertCanJoinThrough(invite, challenge, userId);
+
+  if (invite.requires_approval) {
+    db.prepare(
+      `INSERT INTO challenge_join_requests (challenge_id, user_id, invite_id, created_at)
+       VALUES (?, ?, ?, ?)`
+    ).run(challenge.id, userId, invite.id, new Date().toISOString());
+    return { challenge, joined: false, pending: true };
+  }
+
+  db.transaction(() => {
+    addParticipant(userId, challenge.id, invite.id);
+    db.prepare("UPDATE challenge_invites SET uses = uses + 1 WHERE id = ?").run(invite.id);
+  })();
+  return { challenge, joined: true, pending: false };
+}
+
+module.exports = {
+  getInviteState,
+  createInvite,
+  getChallengeInvites,
+  getPrimaryInvite,
+  regenerateInvite,
+  revokeInvite,
+  getInviteJoins,
+  getJoinRequests,
+  getPendingRequest,
+  decideJoinRequest,
+  joinChallengeByInvite,
+};
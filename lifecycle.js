@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+
+const { db, initDb } = require("./db");
+const { getLocalDateString } = require("./dates");
+const { getLeaderboard, scoreLabel } = require("./scoring");
+const { checkResultBadges } = require("./achievements");
+
+function getChallengeState(challenge, today = getLocalDateString()) {
+  if (challenge.status === "closed") {
+    return "closed";
+  }
+  return challenge.start_date > today ? "upcoming" : "active";
+}
+
+// Freezes the final ranking: winners share the top score and take the prize,
+// anyone below goal_count takes the penalty. The snapshot keeps its own copy of
+// names and challenge details so the results page survives later edits and
+// deleted accounts.
+function takeSnapshot(challenge, closedAt) {
+  const leaderboard = getLeaderboard(challenge);
+  const topScore = leaderboard.length ? leaderboard[0].total : 0;
+  const existing = db
+    .prepare("SELECT share_code FROM challenge_snapshots WHERE challenge_id = ?")
+    .get(challenge.id);
+  const creator = db.prepare("SELECT name FROM users WHERE id = ?").get(challenge.creator_id);
+
+  const insertResult = db.prepare(
+    `INSERT INTO challenge_results
+      (challenge_id, user_id, user_name, position, total, goal_met, is_winner, outcome, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+
+  db.prepare("DELETE FROM challenge_results WHERE challenge_id = ?").run(challenge.id);
+  db.prepare("DELETE FROM challenge_snapshots WHERE challenge_id = ?").run(challenge.id);
+  db.prepare(
+    `INSERT INTO challenge_snapshots
+      (challenge_id, share_code, title, description, start_date, end_date, goal_count, score_unit,
+       scoring_mode, prize, penalty, creator_name, participant_count, group_total, closed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    challenge.id,
+    existing ? existing.share_code : crypto.randomBytes(8).toString("hex"),
+    challenge.title,
+    challenge.description,
+    challenge.start_date,
+    challenge.end_date,
+    challenge.goal_count,
+    scoreLabel(challenge),
+    challenge.scoring_mode,
+    challenge.prize,
+    challenge.penalty,
+    creator ? creator.name : null,
+    leaderboard.length,
+    Math.round(leaderboard.reduce((sum, row) => sum + row.total, 0) * 100) / 100,
+    closedAt
+  );
+
+  let position = 0;
+  leaderboard.forEach((row, index) => {
+    if (index === 0 || row.total !== leaderboard[index - 1].total) {
+      position = index + 1;
+    }
+    const isWinner = topScore > 0 && row.total === topScore;
+    const goalMet = row.total >= challenge.goal_count;
+    let outcome = null;
+    if (isWinner && challenge.prize) {
+      outcome = "prize";
+    } else if (!goalMet && challenge.penalty) {
+      outcome = "penalty";
+    }
+    insertResult.run(
+      challenge.id,
+      row.user_id,
+      row.name,
+      position,
+      row.total,
+      goalMet ? 1 : 0,
+      isWinner ? 1 : 0,
+      outcome,
+      closedAt
+    );
+  });
+  checkResultBadges(challenge.id);
+}
+
+function closeChallenge(challenge) {
+  const now = new Date().toISOString();
+  const transaction = db.transaction(() => {
+    takeSnapshot(challenge, now);
+    db.prepare("UPDATE challenges SET status = 'closed', closed_at = ? WHERE id = ?").run(
+      now,
+      challenge.id
+    );
+  });
+  transaction();
+}
+
+function getChallengeResults(challengeId) {
+  return db
+    .prepare(
+      "SELECT * FROM challenge_results WHERE challenge_id = ? ORDER BY position ASC, user_name ASC"
+    )
+    .all(challengeId);
+}
+
+// Challenges closed before snapshots existed get one on first access, dated
+// from their original close.
+function getChallengeSnapshot(challenge) {
+  const snapshot = db
+    .prepare("SELECT * FROM challenge_snapshots WHERE challenge_id = ?")
+    .get(challenge.id);
+  if (snapshot || challenge.status !== "closed") {
+    return snapshot;
+  }
+  db.transaction(() => takeSnapshot(challenge, challenge.closed_at || challenge.end_date))();
+  return db.prepare("SELECT * FROM challenge_snapshots WHERE challenge_id = ?").get(challenge.id);
+}
+
+function getChallengeResult(challengeId, resultId) {
+  return db
+    .prepare("SELECT * FROM challenge_results WHERE id = ? AND challenge_id = ?")
+    .get(resultId, challengeId);
+}
+
+function getSnapshotByCode(code) {
+  return db.prepare("SELECT * FROM challenge_snapshots WHERE share_code = ?").get(code);
+}
+
+function closeExpiredChallenges(today = getLocalDateString()) {
+  const expired = db
+    .prepare("SELECT * FROM challenges WHERE status = 'active' AND end_date < ?")
+    .all(today);
+  expired.forEach((challenge) => {
+    try {
+      closeChallenge(challenge);
+    } catch (err) {
+      console.error(`[lifecycle] Falha ao encerrar o desafio ${challenge.id}:`, err);
+    }
+  });
+  return expired.length;
+}
+
+function startLifecycleScheduler() {
+  if (process.env.AUTO_CLOSE_ENABLED === "false") {
+    return null;
+  }
+  const intervalMs = Number(process.env.AUTO_CLOSE_CHECK_MINUTES || 60) * 60 * 1000;
+  const tick = () => {
+    const closed = closeExpiredChallenges();
+    if (closed) {
+      console.log(`[lifecycle] ${closed} desafio(s) encerrado(s) automaticamente.`);
+    }
+  };
+  tick();
+  return setInterval(tick, intervalMs);
+}
+
+module.exports = {
+  getChallengeState,
+  closeChallenge,
+  getChallengeResults,
+  getChallengeResult,
+  getChallengeSnapshot,
+  getSnapshotByCode,
+  closeExpiredChallenges,
+  startLifecycleScheduler,
+};
+
+if (require.main === module) {
+  initDb();
+  console.log(`[lifecycle] ${closeExpiredChallenges()} desafio(s) encerrado(s).`);
+}
@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "outbox");
+
+// Each transport receives a message ({ to, subject, text, html }) and must
+// return a promise. New transports can be plugged in via registerTransport.
+const transports = {
+  smtp() {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return (message) => transporter.sendMail(message);
+  },
+  file() {
+    return async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const random = Math.random().toString(16).slice(2, 8);
+      const filePath = path.join(outboxDir, `${stamp}-${random}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { filePath };
+    };
+  },
+  console() {
+    return async (message) => {
+      console.log(`[mail] Para: ${message.to} | Assunto: ${message.subject}`);
+      console.log(message.text || "");
+      return {};
+    };
+  },
+};
+
+let activeSend = null;
+
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  activeSend = null;
+}
+
+function resolveTransportName() {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  return process.env.SMTP_HOST ? "smtp" : "console";
+}
+
+function getSender() {
+  if (!activeSend) {
+    const name = resolveTransportName();
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Transporte de email desconhecido: ${name}`);
+    }
+    activeSend = factory();
+  }
+  return activeSend;
+}
+
+// Links in emails always use APP_URL; the request host is not trusted here.
+function getAppUrl() {
+  return (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(
+    /\/$/,
+    ""
+  );
+}
+
+function sendMail({ to, subject, text, html }) {
+  const from = process.env.MAIL_FROM || "Fitness Katello <no-reply@localhost>";
+  return getSender()({ from, to, subject, text, html });
+}
+
+module.exports = { sendMail, registerTransport, getAppUrl };
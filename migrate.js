@@ -0,0 +1,137 @@
+const fs = require("fs");
+const path = require("path");
+
+// Versioned schema changes. Each file in migrations/ is named
+// <version>_<name>.js and exports up(db) and down(db); applied versions are
+// recorded in schema_migrations. Every migration runs in its own transaction.
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => /^(\d+)_(\w+)\.js$/.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: Number(version),
+      name,
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+function getAppliedVersions(db) {
+  ensureMigrationsTable(db);
+  return new Map(
+    db
+      .prepare("SELECT version, name, applied_at FROM schema_migrations ORDER BY version")
+      .all()
+      .map((row) => [row.version, row])
+  );
+}
+
+// Applies pending migrations up to `to` (all by default). Returns the ones applied.
+function migrate(db, { to = Infinity } = {}) {
+  const applied = getAppliedVersions(db);
+  const pending = loadMigrations().filter(
+    (migration) => !applied.has(migration.version) && migration.version <= to
+  );
+  pending.forEach((migration) => {
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)").run(
+        migration.version,
+        migration.name,
+        new Date().toISOString()
+      );
+    })();
+  });
+  return pending;
+}
+
+// Reverts the last `steps` applied migrations, or every one above `to`.
+function rollback(db, { steps = 1, to = null } = {}) {
+  const applied = getAppliedVersions(db);
+  const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+  const versions = [...applied.keys()].sort((a, b) => b - a);
+  const targets = to === null ? versions.slice(0, steps) : versions.filter((version) => version > to);
+
+  return targets.map((version) => {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new Error(`Arquivo da migração ${version} não encontrado em ${MIGRATIONS_DIR}.`);
+    }
+    db.transaction(() => {
+      migration.down(db);
+      db.prepare("DELETE FROM schema_migrations WHERE version = ?").run(version);
+    })();
+    return migration;
+  });
+}
+
+function getMigrationStatus(db) {
+  const applied = getAppliedVersions(db);
+  const known = loadMigrations().map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+  }));
+  // Applied in this database but missing from migrations/ (e.g. a newer deploy).
+  const unknown = [...applied.values()]
+    .filter((row) => !known.some((migration) => migration.version === row.version))
+    .map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true }));
+  return [...known, ...unknown].sort((a, b) => a.version - b.version);
+}
+
+module.exports = { migrate, rollback, getMigrationStatus };
+
+if (require.main === module) {
+  const { db } = require("./db");
+  const [command = "up", ...args] = process.argv.slice(2);
+  const option = (flag) => {
+    const index = args.indexOf(flag);
+    return index === -1 ? null : Number(args[index + 1]);
+  };
+
+  try {
+    if (command === "up") {
+      const applied = migrate(db, { to: option("--to") ?? Infinity });
+      applied.forEach((migration) => console.log(`[migrate] ${migration.version} ${migration.name} aplicada.`));
+      console.log(`[migrate] ${applied.length} migração(ões) aplicada(s).`);
+    } else if (command === "down") {
+      const reverted = rollback(db, { steps: option("--steps") || 1, to: option("--to") });
+      reverted.forEach((migration) => console.log(`[migrate] ${migration.version} ${migration.name} desfeita.`));
+      console.log(`[migrate] ${reverted.length} migração(ões) desfeita(s).`);
+    } else if (command === "status") {
+      getMigrationStatus(db).forEach((migration) => {
+        const state = migration.missing
+          ? "aplicada (arquivo ausente)"
+          : migration.appliedAt
+            ? `aplicada em ${migration.appliedAt}`
+            : "pendente";
+        console.log(`${String(migration.version).padStart(3, "0")} ${migration.name}: ${state}`);
+      });
+      // Rows written before foreign keys were enforced can still point nowhere.
+      const violations = db.dialect === "sqlite" ? db.pragma("foreign_key_check") : [];
+      if (violations.length) {
+        console.log(`[migrate] ${violations.length} registro(s) com chave estrangeira inválida:`);
+        violations.forEach((row) => console.log(`  ${row.table} #${row.rowid} -> ${row.parent}`));
+      }
+    } else {
+      console.error("Uso: node migrate.js [up [--to N] | down [--steps N | --to N] | status]");
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error(`[migrate] ${err.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,358 @@
+// Schema as it stood before versioned migrations. CREATE TABLE statements carry
+// every column for fresh databases; databases created by older versions of the
+// app are brought up to date column by column.
+
+function addMissingColumns(db, table, definitions) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map((col) => col.name));
+  const added = [];
+  Object.entries(definitions).forEach(([name, definition]) => {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      added.push(name);
+    }
+  });
+  return added;
+}
+
+// Column types that differ between SQLite and PostgreSQL.
+const COLUMN_TYPES = {
+  sqlite: { id: "INTEGER PRIMARY KEY AUTOINCREMENT", real: "REAL", blob: "BLOB" },
+  postgres: { id: "SERIAL PRIMARY KEY", real: "DOUBLE PRECISION", blob: "BYTEA" },
+};
+
+module.exports = {
+  up(db) {
+    const types = COLUMN_TYPES[db.dialect];
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id ${types.id},
+        name TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'participant',
+        goal_exercises INTEGER DEFAULT 0,
+        email_verified_at TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS challenges (
+        id ${types.id},
+        title TEXT NOT NULL,
+        description TEXT,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        goal_count INTEGER NOT NULL,
+        group_goal INTEGER,
+        status TEXT NOT NULL DEFAULT 'active',
+        prize TEXT,
+        penalty TEXT,
+        invite_code TEXT,
+        metric TEXT NOT NULL DEFAULT 'workouts',
+        scoring_mode TEXT NOT NULL DEFAULT 'total',
+        scoring_config TEXT,
+        closed_at TEXT,
+        add_policy TEXT NOT NULL DEFAULT 'organizers',
+        team_scoring TEXT NOT NULL DEFAULT 'sum',
+        team_self_join INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        creator_id INTEGER NOT NULL,
+        FOREIGN KEY(creator_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS challenge_participants (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        challenge_id INTEGER NOT NULL,
+        joined_at TEXT NOT NULL,
+        digest_opt_in INTEGER NOT NULL DEFAULT 1,
+        invite_id INTEGER,
+        role TEXT NOT NULL DEFAULT 'participant',
+        team_id INTEGER,
+        UNIQUE(user_id, challenge_id),
+        FOREIGN KEY(user_id) REFERENCES users(id),
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS activity_types (
+        id ${types.id},
+        name TEXT NOT NULL UNIQUE,
+        unit TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS exercise_logs (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        challenge_id INTEGER NOT NULL,
+        count INTEGER NOT NULL,
+        activity TEXT,
+        activity_id TEXT,
+        activity_type_id INTEGER,
+        amount ${types.real},
+        unit TEXT,
+        logged_on TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        source TEXT,
+        started_at TEXT,
+        duration_seconds INTEGER,
+        distance_km ${types.real},
+        review_status TEXT,
+        review_note TEXT,
+        reviewed_by INTEGER,
+        reviewed_at TEXT,
+        FOREIGN KEY(user_id) REFERENCES users(id),
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id),
+        FOREIGN KEY(activity_type_id) REFERENCES activity_types(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS exercise_log_audit (
+        id ${types.id},
+        activity_id TEXT NOT NULL,
+        challenge_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        actor_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        before_json TEXT,
+        after_json TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS challenge_results (
+        id ${types.id},
+        challenge_id INTEGER NOT NULL,
+        user_id INTEGER,
+        user_name TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        total ${types.real} NOT NULL,
+        goal_met INTEGER NOT NULL DEFAULT 0,
+        is_winner INTEGER NOT NULL DEFAULT 0,
+        outcome TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS challenge_invites (
+        id ${types.id},
+        challenge_id INTEGER NOT NULL,
+        code TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        expires_on TEXT,
+        max_uses INTEGER,
+        uses INTEGER NOT NULL DEFAULT 0,
+        requires_approval INTEGER NOT NULL DEFAULT 0,
+        revoked_at TEXT,
+        created_by INTEGER,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS challenge_join_requests (
+        id ${types.id},
+        challenge_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        invite_id INTEGER,
+        status TEXT NOT NULL DEFAULT 'pending',
+        decided_by INTEGER,
+        decided_at TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS challenge_changes (
+        id ${types.id},
+        challenge_id INTEGER NOT NULL,
+        actor_id INTEGER,
+        action TEXT NOT NULL,
+        changes_json TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS challenge_teams (
+        id ${types.id},
+        challenge_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        goal INTEGER,
+        created_at TEXT NOT NULL,
+        UNIQUE(challenge_id, name),
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS user_badges (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        badge TEXT NOT NULL,
+        challenge_id INTEGER,
+        awarded_at TEXT NOT NULL,
+        UNIQUE(user_id, badge),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS log_reactions (
+        id ${types.id},
+        log_id INTEGER NOT NULL,
+        challenge_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        emoji TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        UNIQUE(log_id, user_id, emoji),
+        FOREIGN KEY(log_id) REFERENCES exercise_logs(id),
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS log_comments (
+        id ${types.id},
+        log_id INTEGER NOT NULL,
+        challenge_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        body TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(log_id) REFERENCES exercise_logs(id),
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS activity_photos (
+        id ${types.id},
+        activity_id TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL,
+        mime TEXT NOT NULL,
+        data ${types.blob} NOT NULL,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS challenge_snapshots (
+        id ${types.id},
+        challenge_id INTEGER NOT NULL UNIQUE,
+        share_code TEXT NOT NULL UNIQUE,
+        title TEXT NOT NULL,
+        description TEXT,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        goal_count INTEGER NOT NULL,
+        score_unit TEXT NOT NULL,
+        scoring_mode TEXT,
+        prize TEXT,
+        penalty TEXT,
+        creator_name TEXT,
+        participant_count INTEGER NOT NULL DEFAULT 0,
+        group_total ${types.real} NOT NULL DEFAULT 0,
+        closed_at TEXT NOT NULL,
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS challenge_digests (
+        id ${types.id},
+        challenge_id INTEGER NOT NULL,
+        period_start TEXT NOT NULL,
+        period_end TEXT NOT NULL,
+        ranking_json TEXT NOT NULL,
+        recipients INTEGER NOT NULL DEFAULT 0,
+        sent_at TEXT NOT NULL,
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS password_resets (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS email_verifications (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id ${types.id},
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT,
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+    `);
+
+    // Postgres databases always start from the statements above.
+    if (db.dialect === "postgres") {
+      return;
+    }
+
+    addMissingColumns(db, "exercise_logs", {
+      activity: "TEXT",
+      activity_id: "TEXT",
+      activity_type_id: "INTEGER",
+      amount: "REAL",
+      unit: "TEXT",
+      source: "TEXT",
+      started_at: "TEXT",
+      duration_seconds: "INTEGER",
+      distance_km: "REAL",
+      review_status: "TEXT",
+      review_note: "TEXT",
+      reviewed_by: "INTEGER",
+      reviewed_at: "TEXT",
+    });
+    db.exec(
+      "UPDATE exercise_logs SET activity_id = lower(hex(randomblob(8))) WHERE activity_id IS NULL"
+    );
+
+    addMissingColumns(db, "challenges", {
+      invite_code: "TEXT",
+      group_goal: "INTEGER",
+      status: "TEXT NOT NULL DEFAULT 'active'",
+      metric: "TEXT NOT NULL DEFAULT 'workouts'",
+      scoring_mode: "TEXT NOT NULL DEFAULT 'total'",
+      scoring_config: "TEXT",
+      closed_at: "TEXT",
+      add_policy: "TEXT NOT NULL DEFAULT 'organizers'",
+      team_scoring: "TEXT NOT NULL DEFAULT 'sum'",
+      team_self_join: "INTEGER NOT NULL DEFAULT 1",
+    });
+
+    addMissingColumns(db, "challenge_participants", {
+      digest_opt_in: "INTEGER NOT NULL DEFAULT 1",
+      invite_id: "INTEGER",
+      role: "TEXT NOT NULL DEFAULT 'participant'",
+      team_id: "INTEGER",
+    });
+
+    // The old single invite_code becomes each challenge's first invite link.
+    db.prepare(
+      `INSERT INTO challenge_invites (challenge_id, code, name, created_by, created_at)
+       SELECT c.id, c.invite_code, 'Link principal', c.creator_id, ?
+       FROM challenges c
+       WHERE c.invite_code IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM challenge_invites i WHERE i.challenge_id = c.id)`
+    ).run(new Date().toISOString());
+
+    const addedUserColumns = addMissingColumns(db, "users", {
+      goal_exercises: "INTEGER DEFAULT 0",
+      email_verified_at: "TEXT",
+    });
+    if (addedUserColumns.includes("email_verified_at")) {
+      // Accounts created before verification existed are trusted as-is.
+      db.exec("UPDATE users SET email_verified_at = created_at");
+    }
+  },
+
+  down() {
+    throw new Error("A migração inicial não pode ser desfeita.");
+  },
+};
@@ -0,0 +1,23 @@
+// Indexes for the queries that run on every page: leaderboards and feeds
+// (logs per challenge and user), profile history (logs per user and day) and
+// invite lookups.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_exercise_logs_challenge_user
+        ON exercise_logs (challenge_id, user_id);
+      CREATE INDEX IF NOT EXISTS idx_exercise_logs_user_logged_on
+        ON exercise_logs (user_id, logged_on);
+      CREATE INDEX IF NOT EXISTS idx_challenges_invite_code
+        ON challenges (invite_code);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_exercise_logs_challenge_user;
+      DROP INDEX IF EXISTS idx_exercise_logs_user_logged_on;
+      DROP INDEX IF EXISTS idx_challenges_invite_code;
+    `);
+  },
+};
@@ -0,0 +1,11 @@
+// Marks closed challenges whose logs were moved out of the database by the
+// retention job (see backup.js); their frozen results stay in place.
+module.exports = {
+  up(db) {
+    db.exec("ALTER TABLE challenges ADD COLUMN archived_at TEXT");
+  },
+
+  down(db) {
+    db.exec("ALTER TABLE challenges DROP COLUMN archived_at");
+  },
+};
@@ -0,0 +1,22 @@
+// Failed sign-ins, counted per account and per IP to lock out password
+// guessing (see security.js). Rows older than a day are pruned as new ones
+// come in.
+module.exports = {
+  up(db) {
+    const id = db.dialect === "postgres" ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id ${id},
+        email TEXT NOT NULL,
+        ip TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts (email, created_at);
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip, created_at);
+    `);
+  },
+
+  down(db) {
+    db.exec("DROP TABLE IF EXISTS login_attempts");
+  },
+};
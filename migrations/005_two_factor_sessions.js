@@ -0,0 +1,44 @@
+// Optional TOTP second factor with single-use recovery codes, and one row per
+// signed-in browser so users can see and end their sessions (see twofactor.js
+// and sessions.js).
+module.exports = {
+  up(db) {
+    const id = db.dialect === "postgres" ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+    db.exec(`
+      ALTER TABLE users ADD COLUMN totp_secret TEXT;
+      ALTER TABLE users ADD COLUMN totp_enabled_at TEXT;
+      ALTER TABLE users ADD COLUMN totp_last_step INTEGER;
+
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id ${id},
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id ${id},
+        sid TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL,
+        user_agent TEXT,
+        ip TEXT,
+        created_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL,
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions (user_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS user_sessions;
+      DROP TABLE IF EXISTS recovery_codes;
+      ALTER TABLE users DROP COLUMN totp_last_step;
+      ALTER TABLE users DROP COLUMN totp_enabled_at;
+      ALTER TABLE users DROP COLUMN totp_secret;
+    `);
+  },
+};
@@ -0,0 +1,23 @@
+// People an organizer removed from a challenge. They cannot come back through
+// an invite until an organizer adds them again, which clears the row.
+module.exports = {
+  up(db) {
+    const id = db.dialect === "postgres" ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS challenge_removals (
+        id ${id},
+        challenge_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        removed_by INTEGER,
+        removed_at TEXT NOT NULL,
+        UNIQUE (challenge_id, user_id),
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec("DROP TABLE IF EXISTS challenge_removals");
+  },
+};
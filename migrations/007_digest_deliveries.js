@@ -0,0 +1,34 @@
+// One row per recipient of each weekly digest, so a failed send is retried on
+// its own instead of re-mailing everyone. The digest itself is kept as JSON to
+// render the retries with the same content (see digest.js).
+module.exports = {
+  up(db) {
+    const id = db.dialect === "postgres" ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+    db.exec(`
+      ALTER TABLE challenge_digests ADD COLUMN digest_json TEXT;
+
+      CREATE TABLE IF NOT EXISTS challenge_digest_deliveries (
+        id ${id},
+        digest_id INTEGER NOT NULL,
+        challenge_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        sent_at TEXT,
+        UNIQUE (digest_id, user_id),
+        FOREIGN KEY(digest_id) REFERENCES challenge_digests(id),
+        FOREIGN KEY(challenge_id) REFERENCES challenges(id),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_digest_deliveries_pending
+        ON challenge_digest_deliveries (sent_at, attempts);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS challenge_digest_deliveries;
+      ALTER TABLE challenge_digests DROP COLUMN digest_json;
+    `);
+  },
+};
@@ -0,0 +1,11 @@
+// When a failed digest delivery may be tried again (see digest.js), so retries
+// back off instead of running on every scheduler tick.
+module.exports = {
+  up(db) {
+    db.exec("ALTER TABLE challenge_digest_deliveries ADD COLUMN next_attempt_at TEXT");
+  },
+
+  down(db) {
+    db.exec("ALTER TABLE challenge_digest_deliveries DROP COLUMN next_attempt_at");
+  },
+};
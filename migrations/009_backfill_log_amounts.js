@@ -0,0 +1,33 @@
+// Logs written before activity types existed have a free-text activity and no
+// amount or unit. Each was one workout (count = 1), so that becomes the amount;
+// the type and unit come from the catalog entry with the same name. Logs whose
+// activity matches no type keep a NULL unit and only count toward "treinos".
+module.exports = {
+  up(db) {
+    const legacy = db
+      .prepare("SELECT COUNT(*) AS total FROM exercise_logs WHERE activity_type_id IS NULL")
+      .get().total;
+    if (legacy) {
+      // Databases that predate the catalog only get it seeded at startup,
+      // after the migrations, so it is seeded here first to match against.
+      require("../db").seedActivityTypes(db);
+    }
+
+    db.exec(`
+      UPDATE exercise_logs
+      SET activity_type_id = (
+        SELECT t.id FROM activity_types t WHERE lower(t.name) = lower(trim(exercise_logs.activity))
+      )
+      WHERE activity_type_id IS NULL AND activity IS NOT NULL;
+
+      UPDATE exercise_logs
+      SET unit = (SELECT t.unit FROM activity_types t WHERE t.id = exercise_logs.activity_type_id)
+      WHERE unit IS NULL AND activity_type_id IS NOT NULL;
+
+      UPDATE exercise_logs SET amount = count WHERE amount IS NULL;
+    `);
+  },
+
+  // The backfilled values cannot be told apart from logged ones.
+  down() {},
+};
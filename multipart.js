@@ -0,0 +1,69 @@
+// Minimal multipart/form-data reader for the workout file upload. The body is
+// buffered by express.raw() (which also enforces the size limit), so this only
+// has to split it into parts.
+
+function getBoundary(contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  return match ? match[1] || match[2] : null;
+}
+
+function parseHeaders(text) {
+  const headers = {};
+  text.split("\r\n").forEach((line) => {
+    const index = line.indexOf(":");
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  });
+  return headers;
+}
+
+// Returns { fields: { name: value }, files: [{ field, filename, data }] }, or
+// null when the body is not multipart.
+function parseMultipart(body, contentType) {
+  const boundary = getBoundary(contentType);
+  if (!boundary || !Buffer.isBuffer(body)) {
+    return null;
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // "--" right after a delimiter closes the body.
+    if (body.slice(partStart, partStart + 2).toString() === "--") {
+      break;
+    }
+    const end = body.indexOf(delimiter, partStart);
+    if (end === -1) {
+      break;
+    }
+
+    // Each part is CRLF, headers, blank line, content, CRLF.
+    const part = body.slice(partStart + 2, end - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = parseHeaders(part.slice(0, headerEnd).toString("utf8"));
+      const disposition = headers["content-disposition"] || "";
+      const name = /\bname="([^"]*)"/i.exec(disposition);
+      const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+      const data = part.slice(headerEnd + 4);
+
+      if (name && filename) {
+        if (filename[1]) {
+          files.push({ field: name[1], filename: filename[1], data });
+        }
+      } else if (name) {
+        fields[name[1]] = data.toString("utf8");
+      }
+    }
+    start = end;
+  }
+
+  return { fields, files };
+}
+
+module.exports = { parseMultipart };
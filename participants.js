@@ -0,0 +1,185 @@
+const { db } = require("./db");
+const { ChallengeError, isParticipant, addParticipant } = require("./challenges");
+const { deleteOrphanPhotos } = require("./feed");
+
+const ADD_POLICIES = {
+  creator: "Somente o criador",
+  organizers: "Criador e co-organizadores",
+  participants: "Qualquer participante",
+};
+
+const PARTICIPANT_ROLE_LABELS = {
+  participant: "Participante",
+  co_organizer: "Co-organizador",
+};
+
+function getParticipantRole(userId, challengeId) {
+  const row = db
+    .prepare("SELECT role FROM challenge_participants WHERE user_id = ? AND challenge_id = ?")
+    .get(userId, challengeId);
+  return row ? row.role : null;
+}
+
+function isOrganizer(userId, challenge) {
+  return (
+    challenge.creator_id === userId || getParticipantRole(userId, challenge.id) === "co_organizer"
+  );
+}
+
+function canAddMembers(userId, challenge) {
+  switch (challenge.add_policy) {
+    case "creator":
+      return challenge.creator_id === userId;
+    case "participants":
+      return challenge.creator_id === userId || isParticipant(userId, challenge.id);
+    default:
+      return isOrganizer(userId, challenge);
+  }
+}
+
+function getParticipants(challengeId) {
+  return db
+    .prepare(
+      `SELECT u.id, u.name, u.email, cp.role, cp.joined_at,
+        (SELECT COUNT(*) FROM exercise_logs e
+         WHERE e.user_id = u.id AND e.challenge_id = cp.challenge_id) AS log_count
+       FROM challenge_participants cp
+       JOIN users u ON u.id = cp.user_id
+       WHERE cp.challenge_id = ?
+       ORDER BY u.name ASC`
+    )
+    .all(challengeId);
+}
+
+function assertOpen(challenge) {
+  if (challenge.status === "closed") {
+    throw new ChallengeError("Este desafio está encerrado.", 409);
+  }
+}
+
+// Kept logs stay attached to the challenge (and count again if the person is
+// re-added); discarded logs are deleted and show up in the audit trail.
+// Removal by someone else is recorded so invites cannot bring the person back.
+function removeParticipant(challenge, userId, { keepLogs = true, actorId } = {}) {
+  assertOpen(challenge);
+  if (userId === challenge.creator_id) {
+    throw new ChallengeError("O criador não pode ser removido. Transfira o desafio antes.");
+  }
+  if (!isParticipant(userId, challenge.id)) {
+    throw new ChallengeError("Este usuário não participa do desafio.", 404);
+  }
+
+  db.transaction(() => {
+    db.prepare("DELETE FROM challenge_participants WHERE user_id = ? AND challenge_id = ?").run(
+      userId,
+      challenge.id
+    );
+    if (actorId && actorId !== userId) {
+      db.prepare(
+        `INSERT INTO challenge_removals (challenge_id, user_id, removed_by, removed_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (challenge_id, user_id) DO NOTHING`
+      ).run(challenge.id, userId, actorId, new Date().toISOString());
+    }
+    if (keepLogs) {
+      return;
+    }
+    const logs = db
+      .prepare("SELECT * FROM exercise_logs WHERE user_id = ? AND challenge_id = ?")
+      .all(userId, challenge.id);
+    const insertAudit = db.prepare(
+      `INSERT INTO exercise_log_audit
+        (activity_id, challenge_id, user_id, actor_id, action, before_json, after_json, created_at)
+       VALUES (?, ?, ?, ?, 'delete', ?, NULL, ?)`
+    );
+    const now = new Date().toISOString();
+    logs.forEach((log) => {
+      insertAudit.run(
+        log.activity_id,
+        challenge.id,
+        userId,
+        actorId || userId,
+        JSON.stringify({
+          activity: log.activity,
+          amount: log.amount,
+          unit: log.unit,
+          loggedOn: log.logged_on,
+        }),
+        now
+      );
+    });
+    ["log_reactions", "log_comments"].forEach((table) => {
+      db.prepare(
+        `DELETE FROM ${table} WHERE log_id IN
+          (SELECT id FROM exercise_logs WHERE user_id = ? AND challenge_id = ?)`
+      ).run(userId, challenge.id);
+    });
+    db.prepare("DELETE FROM exercise_logs WHERE user_id = ? AND challenge_id = ?").run(
+      userId,
+      challenge.id
+    );
+    deleteOrphanPhotos();
+  })();
+}
+
+function leaveChallenge(challenge, userId) {
+  if (userId === challenge.creator_id) {
+    throw new ChallengeError("Transfira o desafio para outra pessoa antes de sair.");
+  }
+  removeParticipant(challenge, userId, { keepLogs: true, actorId: userId });
+}
+
+function setCoOrganizer(challenge, userId, enabled) {
+  if (userId === challenge.creator_id) {
+    throw new ChallengeError("O criador já organiza o desafio.");
+  }
+  const result = db
+    .prepare("UPDATE challenge_participants SET role = ? WHERE user_id = ? AND challenge_id = ?")
+    .run(enabled ? "co_organizer" : "participant", userId, challenge.id);
+  if (!result.changes) {
+    throw new ChallengeError("Este usuário não participa do desafio.", 404);
+  }
+}
+
+// The previous creator stays in the challenge as a co-organizer.
+function transferOwnership(challenge, newOwnerId) {
+  if (newOwnerId === challenge.creator_id) {
+    throw new ChallengeError("Esta pessoa já é a criadora do desafio.", 409);
+  }
+  if (!isParticipant(newOwnerId, challenge.id)) {
+    throw new ChallengeError("Escolha alguém que participe do desafio.");
+  }
+
+  db.transaction(() => {
+    db.prepare("UPDATE challenges SET creator_id = ? WHERE id = ?").run(newOwnerId, challenge.id);
+    if (!isParticipant(challenge.creator_id, challenge.id)) {
+      addParticipant(challenge.creator_id, challenge.id);
+    }
+    db.prepare(
+      "UPDATE challenge_participants SET role = 'participant' WHERE user_id = ? AND challenge_id = ?"
+    ).run(newOwnerId, challenge.id);
+    db.prepare(
+      "UPDATE challenge_participants SET role = 'co_organizer' WHERE user_id = ? AND challenge_id = ?"
+    ).run(challenge.creator_id, challenge.id);
+  })();
+}
+
+function setAddPolicy(challenge, policy) {
+  if (!ADD_POLICIES[policy]) {
+    throw new ChallengeError("Opção inválida.");
+  }
+  db.prepare("UPDATE challenges SET add_policy = ? WHERE id = ?").run(policy, challenge.id);
+}
+
+module.exports = {
+  ADD_POLICIES,
+  PARTICIPANT_ROLE_LABELS,
+  isOrganizer,
+  canAddMembers,
+  getParticipants,
+  removeParticipant,
+  leaveChallenge,
+  setCoOrganizer,
+  transferOwnership,
+  setAddPolicy,
+};
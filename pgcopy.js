@@ -0,0 +1,107 @@
+const path = require("path");
+const { db, dialect, openSqlite } = require("./db");
+const { migrate } = require("./migrate");
+
+// One-shot copy of an existing SQLite database (app.db) into the PostgreSQL
+// database at DATABASE_URL. Ids are kept, so links and invites keep working;
+// sessions are not copied and everyone signs in again.
+const BATCH_SIZE = 200;
+
+// Parents before children, so foreign keys hold while rows go in.
+function orderTables(source) {
+  const tables = source
+    .prepare(
+      `SELECT name FROM sqlite_master
+       WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'`
+    )
+    .all()
+    .map((row) => row.name);
+  const ordered = [];
+  const visit = (table) => {
+    if (ordered.includes(table)) {
+      return;
+    }
+    source
+      .pragma(`foreign_key_list(${table})`)
+      .filter((key) => key.table !== table)
+      .forEach((key) => visit(key.table));
+    ordered.push(table);
+  };
+  tables.forEach(visit);
+  return ordered;
+}
+
+function copyToPostgres(sourcePath) {
+  if (dialect !== "postgres") {
+    throw new Error("Defina DATABASE_URL com o endereço do PostgreSQL de destino.");
+  }
+  const source = openSqlite(sourcePath);
+  try {
+    migrate(source).forEach((migration) => {
+      console.log(`[pgcopy] Origem: ${migration.version} ${migration.name} aplicada.`);
+    });
+    const violations = source.pragma("foreign_key_check");
+    if (violations.length) {
+      throw new Error(
+        `${violations.length} registro(s) com chave estrangeira inválida na origem; veja npm run migrate-status.`
+      );
+    }
+
+    migrate(db);
+    const tables = orderTables(source);
+    const filled = tables.find(
+      (table) => db.prepare(`SELECT COUNT(*) AS total FROM ${table}`).get().total > 0
+    );
+    if (filled) {
+      throw new Error(`O banco de destino já tem dados (tabela ${filled}).`);
+    }
+
+    const copied = {};
+    db.transaction(() => {
+      tables.forEach((table) => {
+        const columns = source.pragma(`table_info(${table})`).map((column) => column.name);
+        const rows = source
+          .prepare(`SELECT ${columns.join(", ")} FROM ${table} ORDER BY rowid`)
+          .raw()
+          .all();
+        const row = `(${columns.map(() => "?").join(", ")})`;
+        for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+          const batch = rows.slice(start, start + BATCH_SIZE);
+          db.prepare(
+            `INSERT INTO ${table} (${columns.join(", ")}) VALUES ${batch.map(() => row).join(", ")}`
+          ).run(...batch.flat());
+        }
+        // Rows came in with their ids; move the sequence past them.
+        if (columns.includes("id")) {
+          db.prepare(
+            `SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE(MAX(id), 1), MAX(id) IS NOT NULL)
+             FROM ${table}`
+          ).get();
+        }
+        copied[table] = rows.length;
+      });
+    })();
+    return copied;
+  } finally {
+    source.close();
+  }
+}
+
+module.exports = { copyToPostgres };
+
+if (require.main === module) {
+  const fromIndex = process.argv.indexOf("--from");
+  const sourcePath =
+    fromIndex === -1
+      ? process.env.DB_PATH || path.join(__dirname, "app.db")
+      : path.resolve(process.argv[fromIndex + 1]);
+  try {
+    const copied = copyToPostgres(sourcePath);
+    Object.entries(copied).forEach(([table, total]) => console.log(`[pgcopy] ${table}: ${total}`));
+    console.log(`[pgcopy] Dados de ${sourcePath} copiados para o PostgreSQL.`);
+  } catch (err) {
+    console.error(`[pgcopy] ${err.message}`);
+    process.exitCode = 1;
+  }
+  db.close();
+}
@@ -0,0 +1,139 @@
+// PostgreSQL behind the same synchronous interface the app uses from
+// better-sqlite3: prepare(sql).get/all/run, exec and transaction(fn). Queries
+// are written with `?` placeholders and portable SQL; this module turns them
+// into $1..$n and fills in what SQLite reports for free (changes,
+// lastInsertRowid). The pg packages are optional dependencies, loaded only
+// when DATABASE_URL points to Postgres.
+//
+// pg-native's querySync blocks the event loop for the whole round trip, so a
+// slow query holds up every other request (the session store is the exception:
+// connect-pg-simple has its own async pool). Fine for a small group on a
+// nearby database; anything bigger needs the queries moved to async `pg`.
+
+// BIGINT (COUNT, SUM) and NUMERIC (AVG) come back as strings by default.
+const NUMBER_TYPES = new Set([20, 1700]);
+
+// `?` -> $1..$n, except inside string literals, quoted identifiers and
+// comments. Doubled quotes ('it''s') close and reopen, which keeps them inside.
+function toPositional(sql) {
+  let index = 0;
+  let out = "";
+  let closer = null;
+  for (let pos = 0; pos < sql.length; pos += 1) {
+    const char = sql[pos];
+    if (closer) {
+      if (sql.startsWith(closer, pos)) {
+        out += closer;
+        pos += closer.length - 1;
+        closer = null;
+      } else {
+        out += char;
+      }
+      continue;
+    }
+    const pair = sql.slice(pos, pos + 2);
+    if (char === "'" || char === '"') {
+      closer = char;
+    } else if (pair === "--") {
+      closer = "\n";
+    } else if (pair === "/*") {
+      closer = "*/";
+      out += pair;
+      pos += 1;
+      continue;
+    }
+    out += char === "?" && !closer ? `$${++index}` : char;
+  }
+  return out;
+}
+
+// libpq takes every parameter as text; bytea goes in hex form.
+function toParam(value) {
+  if (value === undefined || value === null || Number.isNaN(value)) {
+    return null;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `\\x${value.toString("hex")}`;
+  }
+  return String(value);
+}
+
+function openPostgres(connectionString) {
+  const Client = require("pg-native");
+  const pgTypes = require("pg").types;
+  const client = new Client({
+    types: {
+      getTypeParser: (oid, format) =>
+        NUMBER_TYPES.has(oid) ? (value) => Number(value) : pgTypes.getTypeParser(oid, format),
+    },
+  });
+  client.connectSync(connectionString);
+
+  const query = (sql, params = []) => client.querySync(sql, params.map(toParam));
+  const idTables = new Map();
+  const hasIdColumn = (table) => {
+    if (!idTables.has(table)) {
+      const [row] = query(
+        `SELECT 1 AS found FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1 AND column_name = 'id'`,
+        [table]
+      );
+      idTables.set(table, Boolean(row));
+    }
+    return idTables.get(table);
+  };
+
+  let depth = 0;
+  const db = {
+    dialect: "postgres",
+
+    prepare(sql) {
+      const text = toPositional(sql);
+      const insertInto = /^\s*INSERT\s+INTO\s+(\w+)/i.exec(sql);
+      return {
+        get: (...params) => query(text, params)[0],
+        all: (...params) => query(text, params),
+        run: (...params) => {
+          if (insertInto && !/\bRETURNING\b/i.test(sql) && hasIdColumn(insertInto[1])) {
+            const rows = query(`${text} RETURNING id`, params);
+            return { changes: rows.length, lastInsertRowid: rows.length ? rows[0].id : null };
+          }
+          query(text, params);
+          return { changes: Number(client.pq.cmdTuples()) || 0, lastInsertRowid: null };
+        },
+      };
+    },
+
+    exec(sql) {
+      client.querySync(sql);
+      return db;
+    },
+
+    // Same contract as better-sqlite3: returns a function that runs `fn` in a
+    // transaction, rolled back if it throws. Nested calls use savepoints.
+    transaction(fn) {
+      return (...args) => {
+        const savepoint = `sp_${depth}`;
+        client.querySync(depth ? `SAVEPOINT ${savepoint}` : "BEGIN");
+        depth += 1;
+        try {
+          const result = fn(...args);
+          depth -= 1;
+          client.querySync(depth ? `RELEASE SAVEPOINT ${savepoint}` : "COMMIT");
+          return result;
+        } catch (err) {
+          depth -= 1;
+          client.querySync(depth ? `ROLLBACK TO SAVEPOINT ${savepoint}` : "ROLLBACK");
+          throw err;
+        }
+      };
+    },
+
+    close() {
+      client.end();
+    },
+  };
+  return db;
+}
+
+module.exports = { openPostgres };
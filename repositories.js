@@ -0,0 +1,272 @@
+const { db } = require("./db");
+const { deleteOrphanPhotos } = require("./feed");
+
+// Data access for the routes in server.js and api.js. Queries stick to SQL
+// that runs unchanged on SQLite and PostgreSQL (see db.js); domain modules
+// such as challenges.js and feed.js keep their own queries.
+
+// Every table with a challenge_id column, children first: foreign keys are
+// enforced on both databases. A new challenge_* table goes here so that
+// deleting a challenge (or the account that created it) keeps working.
+// user_badges is left out on purpose: a medal stays earned after the challenge
+// it came from is gone.
+const CHALLENGE_CHILD_TABLES = [
+  "log_reactions",
+  "log_comments",
+  "exercise_logs",
+  "challenge_participants",
+  "challenge_digest_deliveries",
+  "challenge_digests",
+  "exercise_log_audit",
+  "challenge_results",
+  "challenge_snapshots",
+  "challenge_join_requests",
+  "challenge_removals",
+  "challenge_invites",
+  "challenge_changes",
+  "challenge_teams",
+];
+
+function deleteChallenges(ids) {
+  if (!ids.length) {
+    return;
+  }
+  const placeholders = ids.map(() => "?").join(", ");
+  db.transaction(() => {
+    CHALLENGE_CHILD_TABLES.forEach((table) => {
+      db.prepare(`DELETE FROM ${table} WHERE challenge_id IN (${placeholders})`).run(...ids);
+    });
+    deleteOrphanPhotos();
+    db.prepare(`DELETE FROM challenges WHERE id IN (${placeholders})`).run(...ids);
+  })();
+}
+
+const USER_COLUMNS =
+  "id, name, email, role, goal_exercises, email_verified_at, totp_enabled_at, created_at";
+
+const userRepo = {
+  findById(id) {
+    return db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`).get(id);
+  },
+
+  // Includes password_hash; for login and password checks only.
+  findByEmail(email) {
+    return db.prepare("SELECT * FROM users WHERE email = ?").get(email);
+  },
+
+  findCredentials(id) {
+    return db.prepare("SELECT id, role, password_hash FROM users WHERE id = ?").get(id);
+  },
+
+  listWithStats() {
+    return db
+      .prepare(
+        `SELECT u.id, u.name, u.email, u.role, u.created_at, u.email_verified_at, u.totp_enabled_at,
+          (SELECT COUNT(*) FROM user_sessions s WHERE s.user_id = u.id) AS session_count,
+          (SELECT COUNT(*) FROM challenges c WHERE c.creator_id = u.id) AS challenges_created,
+          (SELECT COUNT(*) FROM challenge_participants cp WHERE cp.user_id = u.id) AS challenges_joined,
+          (SELECT COUNT(*) FROM exercise_logs e WHERE e.user_id = u.id) AS exercise_count
+         FROM users u
+         ORDER BY u.created_at DESC`
+      )
+      .all();
+  },
+
+  count() {
+    return db.prepare("SELECT COUNT(*) AS total FROM users").get().total;
+  },
+
+  countAdmins() {
+    return db.prepare("SELECT COUNT(*) AS total FROM users WHERE role = 'admin'").get().total;
+  },
+
+  create({ name, email, passwordHash, role }) {
+    return db
+      .prepare(
+        `INSERT INTO users (name, email, password_hash, role, created_at)
+         VALUES (?, ?, ?, ?, ?)`
+      )
+      .run(name, email, passwordHash, role, new Date().toISOString()).lastInsertRowid;
+  },
+
+  updatePassword(id, passwordHash) {
+    db.prepare("UPDATE users SET password_hash = ? WHERE id = ?").run(passwordHash, id);
+  },
+
+  updateGoal(id, goal) {
+    db.prepare("UPDATE users SET goal_exercises = ? WHERE id = ?").run(goal, id);
+  },
+
+  updateRole(id, role) {
+    db.prepare("UPDATE users SET role = ? WHERE id = ?").run(role, id);
+  },
+
+  // Only for a confirmed address and only while the base has no admin, so a
+  // demoted ADMIN_EMAIL user stays demoted and signing up with that address
+  // proves nothing by itself.
+  promoteToAdmin(email) {
+    return (
+      db
+        .prepare(
+          `UPDATE users SET role = 'admin'
+           WHERE email = ? AND email_verified_at IS NOT NULL
+             AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')`
+        )
+        .run(email).changes > 0
+    );
+  },
+};
+
+const challengeRepo = {
+  findById(id) {
+    return db.prepare("SELECT * FROM challenges WHERE id = ?").get(id);
+  },
+
+  listActiveByCreator(userId) {
+    return db
+      .prepare("SELECT * FROM challenges WHERE creator_id = ? AND status = 'active'")
+      .all(userId);
+  },
+
+  listOpen() {
+    return db
+      .prepare(
+        "SELECT id, title, start_date, end_date FROM challenges WHERE status != 'closed' ORDER BY title ASC"
+      )
+      .all();
+  },
+
+  create(values, creatorId) {
+    return db
+      .prepare(
+        `INSERT INTO challenges
+          (title, description, start_date, end_date, goal_count, group_goal, status, prize, penalty, metric, scoring_mode, scoring_config, created_at, creator_id)
+         VALUES (?, ?, ?, ?, ?, ?, 'active', ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        values.title,
+        values.description,
+        values.start_date,
+        values.end_date,
+        values.goal_count,
+        values.group_goal,
+        values.prize,
+        values.penalty,
+        values.metric,
+        values.scoring_mode,
+        values.scoring_config,
+        new Date().toISOString(),
+        creatorId
+      ).lastInsertRowid;
+  },
+
+  remove(id) {
+    deleteChallenges([id]);
+  },
+};
+
+const participantRepo = {
+  listChallengeIds(userId) {
+    return db
+      .prepare("SELECT challenge_id FROM challenge_participants WHERE user_id = ?")
+      .all(userId)
+      .map((row) => row.challenge_id);
+  },
+
+  countByChallenge(challengeId) {
+    return db
+      .prepare("SELECT COUNT(*) AS total FROM challenge_participants WHERE challenge_id = ?")
+      .get(challengeId).total;
+  },
+
+  listWithTeams(challengeId) {
+    return db
+      .prepare(
+        `SELECT u.id, u.name, cp.team_id
+         FROM challenge_participants cp
+         JOIN users u ON u.id = cp.user_id
+         WHERE cp.challenge_id = ?
+         ORDER BY u.name ASC`
+      )
+      .all(challengeId);
+  },
+
+  listDigestSubscriptions(userId) {
+    return db
+      .prepare(
+        `SELECT c.id, c.title, cp.digest_opt_in
+         FROM challenge_participants cp
+         JOIN challenges c ON c.id = cp.challenge_id
+         WHERE cp.user_id = ? AND c.status = 'active'
+         ORDER BY c.title ASC`
+      )
+      .all(userId);
+  },
+
+  // Opts in to the challenges in `challengeIds` and out of every other one.
+  setDigestOptIns(userId, challengeIds) {
+    const update = db.prepare(
+      "UPDATE challenge_participants SET digest_opt_in = ? WHERE user_id = ? AND challenge_id = ?"
+    );
+    db.transaction(() => {
+      participantRepo.listChallengeIds(userId).forEach((challengeId) => {
+        update.run(challengeIds.includes(challengeId) ? 1 : 0, userId, challengeId);
+      });
+    })();
+  },
+};
+
+const logRepo = {
+  // A log written to several challenges counts once.
+  countActivities(userId) {
+    return db
+      .prepare(
+        "SELECT COUNT(DISTINCT COALESCE(activity_id, CAST(id AS TEXT))) AS total FROM exercise_logs WHERE user_id = ?"
+      )
+      .get(userId).total;
+  },
+
+  countByActivityType(typeId) {
+    return db
+      .prepare("SELECT COUNT(*) AS total FROM exercise_logs WHERE activity_type_id = ?")
+      .get(typeId).total;
+  },
+};
+
+const activityTypeRepo = {
+  listWithUsage() {
+    return db
+      .prepare(
+        `SELECT t.*, (SELECT COUNT(*) FROM exercise_logs e WHERE e.activity_type_id = t.id) AS log_count
+         FROM activity_types t
+         ORDER BY t.name ASC`
+      )
+      .all();
+  },
+
+  findByName(name) {
+    return db.prepare("SELECT id FROM activity_types WHERE lower(name) = lower(?)").get(name);
+  },
+
+  create(name, unit) {
+    db.prepare("INSERT INTO activity_types (name, unit, created_at) VALUES (?, ?, ?)").run(
+      name,
+      unit,
+      new Date().toISOString()
+    );
+  },
+
+  remove(id) {
+    db.prepare("DELETE FROM activity_types WHERE id = ?").run(id);
+  },
+};
+
+module.exports = {
+  CHALLENGE_CHILD_TABLES,
+  deleteChallenges,
+  userRepo,
+  challengeRepo,
+  participantRepo,
+  logRepo,
+  activityTypeRepo,
+};
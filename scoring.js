@@ -0,0 +1,182 @@
+const { db } = require("./db");
+
+const SCORING_MODES = {
+  total: "Soma da métrica",
+  daily: "Um treino por dia",
+  points: "Pontos por tipo de atividade",
+  streak: "Dias treinados + bônus de sequência",
+  weekly: "Semanas com mínimo de dias",
+};
+
+const DEFAULT_SCORING_CONFIG = {
+  points: {},
+  defaultPoints: 1,
+  streakLength: 7,
+  streakBonus: 3,
+  minDaysPerWeek: 3,
+};
+
+const UNIT_LABELS = {
+  reps: "repetições",
+  minutes: "minutos",
+  km: "km",
+  steps: "passos",
+};
+
+const METRIC_LABELS = {
+  workouts: "treinos",
+  ...UNIT_LABELS,
+};
+
+function parseScoringConfig(challenge) {
+  let config = {};
+  try {
+    config = challenge.scoring_config ? JSON.parse(challenge.scoring_config) : {};
+  } catch (err) {
+    config = {};
+  }
+  return { ...DEFAULT_SCORING_CONFIG, ...config };
+}
+
+function scoreLabel(challenge) {
+  switch (challenge.scoring_mode) {
+    case "daily":
+      return "dias";
+    case "points":
+    case "streak":
+      return "pontos";
+    case "weekly":
+      return "semanas";
+    default:
+      return METRIC_LABELS[challenge.metric] || METRIC_LABELS.workouts;
+  }
+}
+
+function getWeekKey(day) {
+  const date = new Date(`${day}T00:00:00`);
+  const weekday = date.getDay() || 7;
+  date.setDate(date.getDate() - (weekday - 1));
+  return date.toISOString().slice(0, 10);
+}
+
+function distinctDays(logs) {
+  return [...new Set(logs.map((log) => log.logged_on.slice(0, 10)))].sort();
+}
+
+function streakBonus(days, { streakLength, streakBonus: bonus }) {
+  if (!streakLength || !bonus) {
+    return 0;
+  }
+  let total = 0;
+  let run = 0;
+  let previous = null;
+  days.forEach((day) => {
+    const current = new Date(`${day}T00:00:00`);
+    const isNext =
+      previous && Math.round((current - previous) / (1000 * 60 * 60 * 24)) === 1;
+    run = isNext ? run + 1 : 1;
+    if (run % streakLength === 0) {
+      total += bonus;
+    }
+    previous = current;
+  });
+  return total;
+}
+
+// Scores one participant's logs for a challenge. Every leaderboard and
+// progress figure goes through here so the chosen mode is applied uniformly.
+function scoreLogs(challenge, logs) {
+  const config = parseScoringConfig(challenge);
+  const metric = challenge.metric || "workouts";
+  const counted = metric === "workouts" ? logs : logs.filter((log) => log.unit === metric);
+
+  switch (challenge.scoring_mode) {
+    case "daily":
+      return distinctDays(counted).length;
+    case "points":
+      return counted.reduce((sum, log) => {
+        const points = config.points[log.activity_type_id];
+        return sum + Number(points === undefined ? config.defaultPoints : points);
+      }, 0);
+    case "streak": {
+      const days = distinctDays(counted);
+      return days.length + streakBonus(days, config);
+    }
+    case "weekly": {
+      const weeks = new Map();
+      distinctDays(counted).forEach((day) => {
+        const key = getWeekKey(day);
+        weeks.set(key, (weeks.get(key) || 0) + 1);
+      });
+      return [...weeks.values()].filter((count) => count >= config.minDaysPerWeek).length;
+    }
+    default:
+      if (metric === "workouts") {
+        return counted.length;
+      }
+      return Math.round(counted.reduce((sum, log) => sum + (log.amount || 0), 0) * 100) / 100;
+  }
+}
+
+function fetchLogs(challengeId, { userId, from, to } = {}) {
+  // Entries rejected by the creator in the feed stop counting.
+  const filters = ["challenge_id = ?", "(review_status IS NULL OR review_status != 'rejected')"];
+  const params = [challengeId];
+  if (userId) {
+    filters.push("user_id = ?");
+    params.push(userId);
+  }
+  if (from && to) {
+    filters.push("substr(logged_on, 1, 10) BETWEEN ? AND ?");
+    params.push(from, to);
+  }
+  return db
+    .prepare(
+      `SELECT user_id, activity_type_id, amount, unit, logged_on
+       FROM exercise_logs
+       WHERE ${filters.join(" AND ")}`
+    )
+    .all(...params);
+}
+
+function getLeaderboard(challenge, { from, to } = {}) {
+  const participants = db
+    .prepare(
+      `SELECT u.id AS user_id, u.name AS name, cp.team_id
+       FROM users u
+       JOIN challenge_participants cp ON cp.user_id = u.id
+       WHERE cp.challenge_id = ?`
+    )
+    .all(challenge.id);
+
+  const logsByUser = new Map();
+  fetchLogs(challenge.id, { from, to }).forEach((log) => {
+    if (!logsByUser.has(log.user_id)) {
+      logsByUser.set(log.user_id, []);
+    }
+    logsByUser.get(log.user_id).push(log);
+  });
+
+  return participants
+    .map((row) => ({
+      ...row,
+      total: scoreLogs(challenge, logsByUser.get(row.user_id) || []),
+    }))
+    .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+}
+
+function getUserScore(challenge, userId) {
+  return scoreLogs(challenge, fetchLogs(challenge.id, { userId }));
+}
+
+module.exports = {
+  SCORING_MODES,
+  DEFAULT_SCORING_CONFIG,
+  UNIT_LABELS,
+  METRIC_LABELS,
+  parseScoringConfig,
+  scoreLabel,
+  scoreLogs,
+  getLeaderboard,
+  getUserScore,
+};
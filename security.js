@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+
+const { db } = require("./db");
+
+const isProduction = process.env.NODE_ENV === "production";
+// The placeholder from .env.example counts as unset.
+const EXAMPLE_SECRET = "troque-esta-chave";
+
+function getSessionSecret() {
+  const secret = process.env.SESSION_SECRET || "";
+  if (secret && secret !== EXAMPLE_SECRET) {
+    return secret;
+  }
+  if (isProduction) {
+    throw new Error("Defina SESSION_SECRET com uma chave longa e aleatória antes de iniciar em produção.");
+  }
+  return "dev-secret";
+}
+
+function getSessionCookie() {
+  return {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: isProduction,
+    maxAge: 1000 * 60 * 60 * 24 * 7,
+  };
+}
+
+// Inline scripts and styles are still allowed: the layout ships a small menu
+// script and the forms use onsubmit confirmations.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data:",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join("; ");
+
+function securityHeaders(req, res, next) {
+  res.set({
+    "Content-Security-Policy": CONTENT_SECURITY_POLICY,
+    "X-Content-Type-Options": "nosniff",
+    "X-Frame-Options": "DENY",
+    "Referrer-Policy": "same-origin",
+    "Permissions-Policy": "camera=(), microphone=(), geolocation=()",
+  });
+  if (isProduction) {
+    res.set("Strict-Transport-Security", "max-age=15552000; includeSubDomains");
+  }
+  next();
+}
+
+// One token per session, sent back by every form as `_csrf`. Multipart forms
+// carry it in the query string, since their body is only read by the route.
+function getCsrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString("hex");
+  }
+  return req.session.csrfToken;
+}
+
+function verifyCsrfToken(req) {
+  const expected = req.session.csrfToken;
+  const sent =
+    (req.is("multipart/form-data") ? req.query._csrf : req.body && req.body._csrf) ||
+    req.get("x-csrf-token");
+  if (!expected || typeof sent !== "string") {
+    return false;
+  }
+  // Byte lengths, not string lengths: multibyte input must not reach
+  // timingSafeEqual with a buffer of a different size.
+  const sentBytes = Buffer.from(sent);
+  const expectedBytes = Buffer.from(expected);
+  return (
+    sentBytes.length === expectedBytes.length && crypto.timingSafeEqual(sentBytes, expectedBytes)
+  );
+}
+
+const LOGIN_LIMITS = {
+  account: Number(process.env.LOGIN_MAX_ATTEMPTS || 5),
+  ip: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || 20),
+};
+const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES || 15);
+
+// Minutes until the oldest failure that keeps `column` over its limit leaves
+// the window, or 0 when sign-in is allowed.
+function lockMinutes(column, value, limit, now) {
+  const windowMs = LOGIN_LOCK_MINUTES * 60 * 1000;
+  const failures = db
+    .prepare(
+      `SELECT created_at FROM login_attempts
+       WHERE ${column} = ? AND created_at > ?
+       ORDER BY created_at DESC`
+    )
+    .all(value, new Date(now - windowMs).toISOString());
+  if (failures.length < limit) {
+    return 0;
+  }
+  const unlockAt = Date.parse(failures[limit - 1].created_at) + windowMs;
+  return Math.max(Math.ceil((unlockAt - now) / 60000), 1);
+}
+
+// Checked before the password, so a locked account or IP gets no answer
+// about whether the password was right.
+function getLoginLock(email, ip, now = Date.now()) {
+  return Math.max(
+    lockMinutes("email", email, LOGIN_LIMITS.account, now),
+    lockMinutes("ip", ip, LOGIN_LIMITS.ip, now)
+  );
+}
+
+function loginLockMessage(minutes) {
+  return `Muitas tentativas de login. Tente novamente em ${minutes} minuto(s).`;
+}
+
+function recordLoginFailure(email, ip) {
+  const now = new Date();
+  db.prepare("INSERT INTO login_attempts (email, ip, created_at) VALUES (?, ?, ?)").run(
+    email,
+    ip,
+    now.toISOString()
+  );
+  db.prepare("DELETE FROM login_attempts WHERE created_at < ?").run(
+    new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString()
+  );
+}
+
+function clearLoginFailures(email) {
+  db.prepare("DELETE FROM login_attempts WHERE email = ?").run(email);
+}
+
+module.exports = {
+  isProduction,
+  getSessionSecret,
+  getSessionCookie,
+  securityHeaders,
+  getCsrfToken,
+  verifyCsrfToken,
+  getLoginLock,
+  loginLockMessage,
+  recordLoginFailure,
+  clearLoginFailures,
+};
@@ -3,33 +3,221 @@ require("dotenv").config();
 const path = require("path");
 const express = require("express");
 const session = require("express-session");
-const SQLiteStore = require("connect-sqlite3")(session);
 const bcrypt = require("bcrypt");
-const crypto = require("crypto");
 const morgan = require("morgan");
 const expressLayouts = require("express-ejs-layouts");
 
-const { db, initDb } = require("./db");
+const { initDb, createSessionStore } = require("./db");
+const {
+  userRepo,
+  challengeRepo,
+  participantRepo,
+  logRepo,
+  activityTypeRepo,
+} = require("./repositories");
+const { getLocalDateString, daysRemaining } = require("./dates");
+const {
+  ChallengeError,
+  getActivityTypes,
+  isParticipant,
+  isRemovedFrom,
+  addParticipant,
+  getVisibleChallenges,
+  logActivity,
+  logChallengeActivity,
+  getProfileStats,
+  getActivityHistory,
+  getActivityEntry,
+  updateActivity,
+  deleteActivity,
+  getChallengeAudit,
+} = require("./challenges");
+const {
+  createInvite,
+  getChallengeInvites,
+  getPrimaryInvite,
+  regenerateInvite,
+  revokeInvite,
+  getInviteJoins,
+  getJoinRequests,
+  decideJoinRequest,
+  joinChallengeByInvite,
+} = require("./invites");
+const {
+  ADD_POLICIES,
+  PARTICIPANT_ROLE_LABELS,
+  isOrganizer,
+  canAddMembers,
+  getParticipants,
+  removeParticipant,
+  leaveChallenge,
+  setCoOrganizer,
+  transferOwnership,
+  setAddPolicy,
+} = require("./participants");
+const {
+  SETTING_LABELS,
+  updateChallengeSettings,
+  reopenChallenge,
+  getChallengeChanges,
+} = require("./settings");
+const {
+  TEAM_SCORING,
+  getTeams,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  assignTeam,
+  joinTeam,
+  setTeamSettings,
+  getTeamLeaderboard,
+  getGroupTarget,
+} = require("./teams");
+const {
+  BADGES,
+  getUserStreaks,
+  getUserBadges,
+  getBadgesByUser,
+} = require("./achievements");
+const {
+  PERIODS,
+  resolvePeriod,
+  getPeriodAnalytics,
+  getHeatmap,
+  getGoalProgress,
+  getChallengeAnalytics,
+} = require("./analytics");
+const {
+  CHALLENGE_DATASETS,
+  getChallengeExport,
+  getChallengeCsv,
+  getUserHistoryCsv,
+  previewLogImport,
+  importLogs,
+} = require("./transfers");
+const {
+  SCORING_MODES,
+  DEFAULT_SCORING_CONFIG,
+  UNIT_LABELS,
+  METRIC_LABELS,
+  scoreLabel,
+  getLeaderboard,
+  getUserScore,
+} = require("./scoring");
+const {
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  findPasswordResetToken,
+} = require("./tokens");
+const {
+  validateNewPassword,
+  sendPasswordResetEmail,
+  requestPasswordReset,
+  resetPassword,
+  isEmailVerified,
+  sendVerificationEmail,
+  markEmailVerified,
+  verifyEmail,
+  deleteUserAccount,
+  exportUserData,
+} = require("./accounts");
+const { MAX_WORKOUT_FILES, importWorkoutFiles } = require("./workouts");
+const { parseMultipart } = require("./multipart");
+const {
+  REVIEW_LABELS,
+  getFeed,
+  toggleReaction,
+  addComment,
+  deleteComment,
+  reviewLog,
+  attachPhoto,
+  removePhoto,
+  getPhoto,
+} = require("./feed");
+const apiRouter = require("./api");
+const {
+  isProduction,
+  getSessionSecret,
+  getSessionCookie,
+  securityHeaders,
+  getCsrfToken,
+  verifyCsrfToken,
+  getLoginLock,
+  loginLockMessage,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("./security");
+const {
+  generateTotpSecret,
+  getOtpAuthUrl,
+  renderQrSvg,
+  createRecoveryCodes,
+  countRecoveryCodes,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifySecondFactor,
+} = require("./twofactor");
+const {
+  trackSession,
+  touchSession,
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions,
+} = require("./sessions");
+const { startDigestScheduler } = require("./digest");
+const {
+  backupsSupported,
+  listBackups,
+  createBackup,
+  resolveBackup,
+  restoreBackup,
+  getRetentionMonths,
+  getArchivedChallenges,
+  archiveClosedChallenges,
+  startBackupScheduler,
+} = require("./backup");
+const {
+  getChallengeState,
+  closeChallenge,
+  getChallengeResults,
+  getChallengeResult,
+  getChallengeSnapshot,
+  getSnapshotByCode,
+  startLifecycleScheduler,
+} = require("./lifecycle");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 initDb();
+bootstrapAdmin();
 
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
 app.set("layout", "layout");
+app.disable("x-powered-by");
+// Behind Render's proxy: needed for secure cookies and the client IP.
+if (isProduction) {
+  app.set("trust proxy", 1);
+}
 
+app.use(securityHeaders);
+// Multipart forms send the CSRF token in the query string; keep it out of the log.
+morgan.token("url", (req) => (req.originalUrl || req.url).replace(/([?&]_csrf=)[^&]*/g, "$1***"));
 app.use(morgan("dev"));
-app.use(express.urlencoded({ extended: false }));
+// Large enough for the admin CSV import, which is posted as a form field.
+app.use(express.urlencoded({ extended: false, limit: "2mb" }));
 app.use(expressLayouts);
+app.use("/api/v1", apiRouter);
+const sessionStore = createSessionStore(session);
 app.use(
   session({
-    store: new SQLiteStore({ db: "sessions.db", dir: __dirname }),
-    secret: process.env.SESSION_SECRET || "dev-secret",
+    store: sessionStore,
+    secret: getSessionSecret(),
     resave: false,
     saveUninitialized: false,
-    cookie: { httpOnly: true, maxAge: 1000 * 60 * 60 * 24 * 7 },
+    cookie: getSessionCookie(),
   })
 );
 app.use(express.static(path.join(__dirname, "static")));
@@ -41,12 +229,45 @@ function addFlash(req, type, message) {
   req.session.flash.push({ type, message });
 }
 
+function flashNewBadges(req, badges = []) {
+  badges.forEach((badge) => {
+    addFlash(req, "success", `Nova medalha: ${BADGES[badge].icon} ${BADGES[badge].label}!`);
+  });
+}
+
+// Buffers a multipart/form-data body (file uploads) into req.upload. Bodies
+// over the limit are refused with a flash instead of the default 413 page.
+function readUpload(limitMb, redirectTo) {
+  const parser = express.raw({ type: "multipart/form-data", limit: `${limitMb}mb` });
+  return (req, res, next) => {
+    parser(req, res, (err) => {
+      if (err) {
+        addFlash(req, "error", `Envio muito grande: o limite é de ${limitMb} MB.`);
+        return res.redirect(redirectTo(req));
+      }
+      req.upload = parseMultipart(req.body, req.headers["content-type"]) || { fields: {}, files: [] };
+      return next();
+    });
+  };
+}
+
 function consumeFlash(req) {
   const messages = req.session.flash || [];
   req.session.flash = [];
   return messages;
 }
 
+// Every POST from a page must carry the session's CSRF token (see
+// views/partials_csrf.ejs). The JSON API is mounted earlier and uses bearer tokens.
+function csrfProtection(req, res, next) {
+  res.locals.csrfToken = getCsrfToken(req);
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method) || verifyCsrfToken(req)) {
+    return next();
+  }
+  addFlash(req, "error", "Sua sessão expirou ou o formulário é inválido. Tente novamente.");
+  return res.redirect("back");
+}
+
 function requireAuth(req, res, next) {
   if (!req.session.userId) {
     return res.redirect("/login");
@@ -54,38 +275,183 @@ function requireAuth(req, res, next) {
   return next();
 }
 
+const ROLES = ["admin", "organizer", "participant"];
+const ROLE_LABELS = {
+  admin: "Administrador",
+  organizer: "Organizador",
+  participant: "Participante",
+};
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.session.userId) {
+      return res.redirect("/login");
+    }
+    if (!roles.includes(req.session.role)) {
+      addFlash(req, "error", "Você não tem permissão para acessar esta página.");
+      return res.redirect("/dashboard");
+    }
+    return next();
+  };
+}
+
+const requireAdmin = requireRole("admin");
+
 function requireCreator(req, res, next) {
+  const challengeId = Number(req.params.id);
+  const challenge = challengeRepo.findById(challengeId);
+  if (!challenge) {
+    addFlash(req, "error", "Desafio não encontrado.");
+    return res.redirect("/dashboard");
+  }
+  if (challenge.creator_id !== req.session.userId && req.session.role !== "admin") {
+    addFlash(req, "error", "Você não pode gerenciar este desafio.");
+    return res.redirect(`/challenges/${challengeId}`);
+  }
+  req.challenge = challenge;
+  return next();
+}
+
+// Like requireCreator, but also lets co-organizers through.
+function requireOrganizer(req, res, next) {
+  const challengeId = Number(req.params.id);
+  const challenge = challengeRepo.findById(challengeId);
+  if (!challenge) {
+    addFlash(req, "error", "Desafio não encontrado.");
+    return res.redirect("/dashboard");
+  }
+  if (!isOrganizer(req.session.userId, challenge) && req.session.role !== "admin") {
+    addFlash(req, "error", "Você não pode gerenciar este desafio.");
+    return res.redirect(`/challenges/${challengeId}`);
+  }
+  req.challenge = challenge;
   return next();
 }
 
-function toDateOnly(value) {
-  return new Date(`${value}T00:00:00`);
+// Participants, plus the creator and admins (who can open any challenge).
+function requireMember(req, res, next) {
+  const challengeId = Number(req.params.id);
+  const challenge = challengeRepo.findById(challengeId);
+  if (!challenge) {
+    addFlash(req, "error", "Desafio não encontrado.");
+    return res.redirect("/dashboard");
+  }
+  if (
+    !isParticipant(req.session.userId, challengeId) &&
+    challenge.creator_id !== req.session.userId &&
+    req.session.role !== "admin"
+  ) {
+    addFlash(req, "error", "Você não participa deste desafio.");
+    return res.redirect("/dashboard");
+  }
+  req.challenge = challenge;
+  return next();
 }
 
-function generateInviteCode() {
-  return crypto.randomBytes(6).toString("hex");
+function parseScoringForm(body) {
+  const mode = body.scoring_mode || "total";
+  if (!SCORING_MODES[mode]) {
+    return { error: "Modo de pontuação inválido." };
+  }
+
+  const points = {};
+  Object.keys(body)
+    .filter((key) => key.startsWith("points_") && body[key] !== "")
+    .forEach((key) => {
+      points[key.slice("points_".length)] = Number(body[key]);
+    });
+  const config = {
+    points,
+    streakLength: Number(body.streak_length || DEFAULT_SCORING_CONFIG.streakLength),
+    streakBonus: Number(body.streak_bonus || 0),
+    minDaysPerWeek: Number(body.min_days_per_week || DEFAULT_SCORING_CONFIG.minDaysPerWeek),
+  };
+
+  const numbers = [...Object.values(points), config.streakLength, config.streakBonus];
+  if (numbers.some((value) => Number.isNaN(value) || value < 0)) {
+    return { error: "As regras de pontuação devem ser números positivos." };
+  }
+  if (!(config.minDaysPerWeek >= 1 && config.minDaysPerWeek <= 7)) {
+    return { error: "O mínimo de dias por semana deve ficar entre 1 e 7." };
+  }
+
+  return { mode, config };
 }
 
-function getLocalDateString(date = new Date()) {
-  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
-  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 10);
+// Fields shared by the create and edit forms.
+function parseChallengeForm(body) {
+  const values = {
+    title: (body.title || "").trim(),
+    description: (body.description || "").trim(),
+    start_date: body.start_date || "",
+    end_date: body.end_date || "",
+    goal_count: Number(body.goal_count || 0),
+    group_goal: body.group_goal ? Number(body.group_goal) : null,
+    prize: (body.prize || "").trim() || null,
+    penalty: (body.penalty || "").trim() || null,
+  };
+
+  if (!values.title || !values.description || !values.start_date || !values.end_date) {
+    return { error: "Nome, descrição, datas e meta são obrigatórios." };
+  }
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!datePattern.test(values.start_date) || !datePattern.test(values.end_date)) {
+    return { error: "Datas inválidas." };
+  }
+  if (values.end_date < values.start_date) {
+    return { error: "A data fim não pode ser anterior à data início." };
+  }
+  if (!Number.isInteger(values.goal_count) || values.goal_count <= 0) {
+    return { error: "A meta deve ser um número inteiro positivo." };
+  }
+  if (
+    values.group_goal !== null &&
+    (!Number.isInteger(values.group_goal) || values.group_goal <= 0)
+  ) {
+    return { error: "Meta do grupo deve ser um número válido." };
+  }
+
+  return { values };
 }
 
-function daysRemaining(endDate) {
-  const today = new Date(`${getLocalDateString()}T00:00:00`);
-  const end = toDateOnly(endDate);
-  const diffMs = end.getTime() - toDateOnly(today.toISOString().slice(0, 10)).getTime();
-  return Math.max(Math.ceil(diffMs / (1000 * 60 * 60 * 24)), 0);
+// Runs at startup and after each e-mail confirmation.
+function bootstrapAdmin() {
+  const adminEmail = (process.env.ADMIN_EMAIL || "").trim().toLowerCase();
+  if (adminEmail) {
+    userRepo.promoteToAdmin(adminEmail);
+  }
 }
 
+app.use(csrfProtection);
+
 app.use((req, res, next) => {
-  res.locals.currentUser = req.session.userName
+  if (req.session.userId) {
+    const user = userRepo.findById(req.session.userId);
+    if (!user || !touchSession(req)) {
+      delete req.session.userId;
+      delete req.session.userName;
+      delete req.session.role;
+      delete req.session.userEmail;
+    } else {
+      req.session.userName = user.name;
+      req.session.role = user.role;
+      req.session.userEmail = user.email;
+      req.session.emailVerified = Boolean(user.email_verified_at);
+    }
+  }
+
+  res.locals.currentUser = req.session.userId
     ? {
+        id: req.session.userId,
         name: req.session.userName,
         role: req.session.role,
         email: req.session.userEmail,
+        emailVerified: req.session.emailVerified,
       }
     : null;
+  res.locals.roleLabels = ROLE_LABELS;
+  res.locals.unitLabels = UNIT_LABELS;
+  res.locals.metricLabels = METRIC_LABELS;
   res.locals.currentPath = req.path;
   res.locals.flash = consumeFlash(req);
   next();
@@ -112,21 +478,29 @@ app.post("/registrar", async (req, res) => {
     return res.redirect("/registrar");
   }
 
-  const existing = db
-    .prepare("SELECT id FROM users WHERE email = ?")
-    .get(email);
+  const existing = userRepo.findByEmail(email);
   if (existing) {
     addFlash(req, "error", "Este email ja esta cadastrado.");
     return res.redirect("/registrar");
   }
 
   const passwordHash = await bcrypt.hash(password, 10);
-  db.prepare(
-    `INSERT INTO users (name, email, password_hash, role, created_at)
-     VALUES (?, ?, ?, ?, ?)`
-  ).run(name, email, passwordHash, "participant", new Date().toISOString());
+  // Only the very first account of a new install becomes admin; ADMIN_EMAIL
+  // waits for the address to be confirmed (see bootstrapAdmin).
+  const role = userRepo.count() === 0 ? "admin" : "participant";
+  const userId = userRepo.create({ name, email, passwordHash, role });
+
+  try {
+    await sendVerificationEmail({ id: userId, name, email });
+  } catch (err) {
+    console.error("[mail] Falha ao enviar confirmação de e-mail:", err);
+  }
 
-  addFlash(req, "success", "Cadastro criado com sucesso. Faça login.");
+  addFlash(
+    req,
+    "success",
+    "Cadastro criado com sucesso. Enviamos um link para confirmar seu e-mail. Faça login."
+  );
   return res.redirect("/login");
 });
 
@@ -134,77 +508,194 @@ app.get("/login", (req, res) => {
   res.render("login", { title: "Entrar" });
 });
 
-app.post("/login", async (req, res) => {
+const TWO_FACTOR_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Starts the signed-in session under a fresh id, so an id planted before
+// login is useless, and lists it under "Sessões ativas".
+function signIn(req, res, next, user, returnTo, notice = null) {
+  clearLoginFailures(user.email);
+  return req.session.regenerate((err) => {
+    if (err) {
+      return next(err);
+    }
+    req.session.userId = user.id;
+    req.session.userName = user.name;
+    req.session.role = user.role;
+    req.session.userEmail = user.email;
+    trackSession(req);
+    if (notice) {
+      addFlash(req, "info", notice);
+    }
+    return res.redirect(returnTo || "/dashboard");
+  });
+}
+
+app.post("/login", async (req, res, next) => {
   const email = (req.body.email || "").trim().toLowerCase();
   const password = req.body.password || "";
 
-  const user = db
-    .prepare("SELECT * FROM users WHERE email = ?")
-    .get(email);
-  if (!user) {
-    addFlash(req, "error", "E-mail ou senha inválidos.");
+  const lockedFor = getLoginLock(email, req.ip);
+  if (lockedFor) {
+    addFlash(req, "error", loginLockMessage(lockedFor));
     return res.redirect("/login");
   }
 
-  const ok = await bcrypt.compare(password, user.password_hash);
+  const user = userRepo.findByEmail(email);
+  const ok = user ? await bcrypt.compare(password, user.password_hash) : false;
   if (!ok) {
+    recordLoginFailure(email, req.ip);
     addFlash(req, "error", "E-mail ou senha inválidos.");
     return res.redirect("/login");
   }
 
-  req.session.userId = user.id;
-  req.session.userName = user.name;
-  req.session.role = user.role;
-  req.session.userEmail = user.email;
-  return res.redirect("/dashboard");
+  const returnTo = req.session.returnTo;
+  if (!user.totp_enabled_at) {
+    return signIn(req, res, next, user, returnTo);
+  }
+  // Password checked; the account stays signed out until the second step.
+  return req.session.regenerate((err) => {
+    if (err) {
+      return next(err);
+    }
+    req.session.pendingTwoFactor = {
+      userId: user.id,
+      returnTo,
+      expiresAt: Date.now() + TWO_FACTOR_TIMEOUT_MS,
+    };
+    return res.redirect("/login/2fa");
+  });
+});
+
+function getPendingTwoFactor(req) {
+  const pending = req.session.pendingTwoFactor;
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.pendingTwoFactor;
+    return null;
+  }
+  return pending;
+}
+
+app.get("/login/2fa", (req, res) => {
+  if (!getPendingTwoFactor(req)) {
+    return res.redirect("/login");
+  }
+  res.render("login_two_factor", { title: "Verificação em duas etapas" });
+});
+
+app.post("/login/2fa", (req, res, next) => {
+  const pending = getPendingTwoFactor(req);
+  const user = pending ? userRepo.findById(pending.userId) : null;
+  if (!user) {
+    addFlash(req, "error", "A verificação expirou. Entre novamente.");
+    return res.redirect("/login");
+  }
+
+  const lockedFor = getLoginLock(user.email, req.ip);
+  if (lockedFor) {
+    delete req.session.pendingTwoFactor;
+    addFlash(req, "error", loginLockMessage(lockedFor));
+    return res.redirect("/login");
+  }
+
+  const method = verifySecondFactor(user.id, req.body.code);
+  if (!method) {
+    recordLoginFailure(user.email, req.ip);
+    addFlash(req, "error", "Código inválido.");
+    return res.redirect("/login/2fa");
+  }
+
+  const notice =
+    method === "recovery"
+      ? `Código de recuperação usado. Restam ${countRecoveryCodes(user.id)}; gere novos em Perfil se precisar.`
+      : null;
+  return signIn(req, res, next, user, pending.returnTo, notice);
+});
+
+app.get("/esqueci-senha", (req, res) => {
+  res.render("forgot_password", { title: "Esqueci minha senha" });
+});
+
+app.post("/esqueci-senha", async (req, res) => {
+  const email = (req.body.email || "").trim().toLowerCase();
+  if (!email) {
+    addFlash(req, "error", "Informe seu e-mail.");
+    return res.redirect("/esqueci-senha");
+  }
+
+  try {
+    await requestPasswordReset(email);
+  } catch (err) {
+    console.error("[mail] Falha ao enviar redefinição de senha:", err);
+  }
+  addFlash(
+    req,
+    "success",
+    "Se houver uma conta com este e-mail, enviaremos um link para redefinir a senha."
+  );
+  return res.redirect("/login");
+});
+
+app.get("/redefinir-senha/:token", (req, res) => {
+  if (!findPasswordResetToken(req.params.token)) {
+    addFlash(req, "error", "Link de redefinição inválido ou expirado.");
+    return res.redirect("/esqueci-senha");
+  }
+  res.render("reset_password", { title: "Redefinir senha", token: req.params.token });
+});
+
+app.post("/redefinir-senha/:token", async (req, res) => {
+  const result = await resetPassword(
+    req.params.token,
+    req.body.new_password || "",
+    req.body.confirm_password || ""
+  );
+  if (result.error) {
+    addFlash(req, "error", result.error);
+    return res.redirect(
+      findPasswordResetToken(req.params.token)
+        ? `/redefinir-senha/${req.params.token}`
+        : "/esqueci-senha"
+    );
+  }
+
+  await revokeUserSessions(sessionStore, result.user.user_id);
+  addFlash(req, "success", "Senha redefinida. Entre com a nova senha.");
+  return res.redirect("/login");
 });
 
-app.get("/logout", (req, res) => {
+app.get("/verificar-email/:token", (req, res) => {
+  if (!verifyEmail(req.params.token)) {
+    addFlash(req, "error", "Link de confirmação inválido ou expirado.");
+  } else {
+    addFlash(req, "success", "E-mail confirmado.");
+    bootstrapAdmin();
+  }
+  if (!req.session.userId) {
+    return res.redirect("/login");
+  }
+  const returnTo = req.session.returnTo;
+  delete req.session.returnTo;
+  return res.redirect(returnTo || "/perfil");
+});
+
+app.post("/logout", (req, res) => {
   req.session.destroy(() => res.redirect("/login"));
 });
 
 app.get("/dashboard", requireAuth, (req, res) => {
-  const visibleChallenges = db
-    .prepare(
-      `SELECT DISTINCT c.*
-       FROM challenges c
-       LEFT JOIN challenge_participants cp ON cp.challenge_id = c.id
-       WHERE (c.creator_id = ? OR cp.user_id = ?) AND c.status = 'active'
-       ORDER BY c.end_date ASC`
-    )
-    .all(req.session.userId, req.session.userId);
-
-  const creatorChallenges = db
-    .prepare("SELECT * FROM challenges WHERE creator_id = ? AND status = 'active'")
-    .all(req.session.userId);
-
-  const joinedRows = db
-    .prepare("SELECT challenge_id FROM challenge_participants WHERE user_id = ?")
-    .all(req.session.userId);
-  const joinedIds = new Set(joinedRows.map((row) => row.challenge_id));
-
-  const userExerciseCount = db
-    .prepare(
-      "SELECT COUNT(DISTINCT COALESCE(activity_id, id)) AS total FROM exercise_logs WHERE user_id = ?"
-    )
-    .get(req.session.userId).total;
-  const userGoal = db
-    .prepare("SELECT goal_exercises FROM users WHERE id = ?")
-    .get(req.session.userId)?.goal_exercises || 0;
+  const visibleChallenges = getVisibleChallenges(req.session.userId);
+
+  const creatorChallenges = challengeRepo.listActiveByCreator(req.session.userId);
+  const joinedIds = new Set(participantRepo.listChallengeIds(req.session.userId));
+
+  const userExerciseCount = logRepo.countActivities(req.session.userId);
+  const userGoal = userRepo.findById(req.session.userId)?.goal_exercises || 0;
 
   const activeChallenge = visibleChallenges[0] || null;
   let activeStats = null;
   if (activeChallenge) {
-    const participantCount = db
-      .prepare(
-        "SELECT COUNT(*) AS total FROM challenge_participants WHERE challenge_id = ?"
-      )
-      .get(activeChallenge.id).total;
-    const userTotal = db
-      .prepare(
-        "SELECT COUNT(id) AS total FROM exercise_logs WHERE user_id = ? AND challenge_id = ?"
-      )
-      .get(req.session.userId, activeChallenge.id).total;
+    const participantCount = participantRepo.countByChallenge(activeChallenge.id);
+    const userTotal = getUserScore(activeChallenge, req.session.userId);
     const progressPercent = activeChallenge.goal_count
       ? Math.min(Math.round((userTotal / activeChallenge.goal_count) * 100), 100)
       : 0;
@@ -213,37 +704,18 @@ app.get("/dashboard", requireAuth, (req, res) => {
       userTotal,
       progressPercent,
       daysRemaining: daysRemaining(activeChallenge.end_date),
+      state: getChallengeState(activeChallenge),
+      startsIn: daysRemaining(activeChallenge.start_date),
     };
   }
 
-  const leaderboardRows = activeChallenge
-    ? db
-        .prepare(
-          `SELECT u.id AS user_id, COALESCE(COUNT(e.id), 0) AS total
-           FROM users u
-           JOIN challenge_participants cp ON cp.user_id = u.id
-           LEFT JOIN exercise_logs e
-             ON e.user_id = u.id AND e.challenge_id = cp.challenge_id
-           WHERE cp.challenge_id = ?
-           GROUP BY u.id
-           ORDER BY total DESC, u.name ASC`
-        )
-        .all(activeChallenge.id)
-    : [];
+  const leaderboardRows = activeChallenge ? getLeaderboard(activeChallenge) : [];
   const position =
     leaderboardRows.findIndex((row) => row.user_id === req.session.userId) + 1;
 
   const creatorCards = creatorChallenges.map((challenge) => {
-    const participantCount = db
-      .prepare(
-        "SELECT COUNT(*) AS total FROM challenge_participants WHERE challenge_id = ?"
-      )
-      .get(challenge.id).total;
-    const userTotal = db
-      .prepare(
-        "SELECT COUNT(id) AS total FROM exercise_logs WHERE user_id = ? AND challenge_id = ?"
-      )
-      .get(req.session.userId, challenge.id).total;
+    const participantCount = participantRepo.countByChallenge(challenge.id);
+    const userTotal = getUserScore(challenge, req.session.userId);
     const progressPercent = challenge.goal_count
       ? Math.min(Math.round((userTotal / challenge.goal_count) * 100), 100)
       : 0;
@@ -252,6 +724,8 @@ app.get("/dashboard", requireAuth, (req, res) => {
       participantCount,
       progressPercent,
       daysRemaining: daysRemaining(challenge.end_date),
+      state: getChallengeState(challenge),
+      startsIn: daysRemaining(challenge.start_date),
     };
   });
 
@@ -268,178 +742,397 @@ app.get("/dashboard", requireAuth, (req, res) => {
     activeStats,
     position: position || "--",
     today: getLocalDateString(),
+    activityTypes: getActivityTypes(),
+    maxWorkoutFiles: MAX_WORKOUT_FILES,
   });
 });
 
 app.post("/atividades", requireAuth, (req, res) => {
-  const activity = (req.body.activity || "").trim();
-  const loggedOn = req.body.logged_on || getLocalDateString();
-
-  if (!activity) {
-    addFlash(req, "error", "Informe o tipo de exercicio.");
+  let result;
+  try {
+    result = logActivity(req.session.userId, {
+      activityTypeId: req.body.activity_type_id,
+      amount: req.body.amount,
+      loggedOn: req.body.logged_on,
+    });
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, err.status === 409 ? "info" : "error", err.message);
     return res.redirect("/dashboard");
   }
 
-  const joinedChallenges = db
-    .prepare("SELECT challenge_id FROM challenge_participants WHERE user_id = ?")
-    .all(req.session.userId)
-    .map((row) => row.challenge_id);
+  addFlash(req, "success", "Atividade registrada em todos os desafios.");
+  flashNewBadges(req, result.badges);
+  return res.redirect("/dashboard");
+});
 
-  if (joinedChallenges.length === 0) {
-    addFlash(req, "info", "Você não participa de nenhum desafio.");
+app.post("/atividades/importar", requireAuth, readUpload(10, () => "/dashboard"), (req, res) => {
+  let result;
+  try {
+    result = importWorkoutFiles(req.session.userId, req.upload.files, {
+      activityTypeId: req.upload.fields.activity_type_id,
+    });
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, "error", err.message);
     return res.redirect("/dashboard");
   }
 
-  const insertLog = db.prepare(
-    `INSERT INTO exercise_logs (user_id, challenge_id, count, activity, activity_id, logged_on, created_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?)`
-  );
+  if (result.imported.length) {
+    addFlash(req, "success", `${result.imported.length} treino(s) importado(s) nos seus desafios.`);
+  }
+  result.skipped.forEach((item) => {
+    addFlash(req, result.imported.length ? "info" : "error", `${item.filename}: ${item.reason}`);
+  });
+  flashNewBadges(req, result.badges);
+  return res.redirect(result.imported.length ? "/atividades" : "/dashboard");
+});
 
-  const now = new Date().toISOString();
-  const activityId = crypto.randomBytes(8).toString("hex");
-  const transaction = db.transaction((challengeIds) => {
-    challengeIds.forEach((challengeId) => {
-      insertLog.run(
-        req.session.userId,
-        challengeId,
-        1,
-        activity,
-        activityId,
-        loggedOn,
-        now
-      );
-    });
+function photoRedirect(req) {
+  const challengeId = Number(req.upload ? req.upload.fields.challenge_id : req.body.challenge_id);
+  return challengeId ? `/challenges/${challengeId}#feed` : "/atividades";
+}
+
+app.post("/atividades/:activityId/foto", requireAuth, readUpload(6, photoRedirect), (req, res) => {
+  try {
+    attachPhoto(req.session.userId, req.params.activityId, req.upload.files[0]);
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, "error", err.message);
+    return res.redirect(photoRedirect(req));
+  }
+  addFlash(req, "success", "Foto anexada ao treino.");
+  return res.redirect(photoRedirect(req));
+});
+
+app.post("/atividades/:activityId/foto/excluir", requireAuth, (req, res) => {
+  try {
+    removePhoto(req.session.userId, req.params.activityId);
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, "error", err.message);
+    return res.redirect(photoRedirect(req));
+  }
+  addFlash(req, "success", "Foto removida.");
+  return res.redirect(photoRedirect(req));
+});
+
+app.get("/fotos/:activityId", requireAuth, (req, res) => {
+  const photo = getPhoto(req.params.activityId, req.session.userId, req.session.role === "admin");
+  if (!photo) {
+    return res.status(404).send("Foto não encontrada.");
+  }
+  res.set("Content-Type", photo.mime);
+  res.set("X-Content-Type-Options", "nosniff");
+  res.set("Cache-Control", "private, max-age=3600");
+  return res.send(photo.data);
+});
+
+app.get("/atividades", requireAuth, (req, res) => {
+  const page = Math.max(Number(req.query.pagina) || 1, 1);
+  const { entries, hasMore } = getActivityHistory(req.session.userId, page);
+  res.render("activities", { title: "Histórico de atividades", entries, page, hasMore });
+});
+
+app.get("/atividades/:activityId/editar", requireAuth, (req, res) => {
+  let entry;
+  try {
+    entry = getActivityEntry(req.session.userId, req.params.activityId);
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, "error", err.message);
+    return res.redirect("/atividades");
+  }
+  res.render("edit_activity", {
+    title: "Editar atividade",
+    entry,
+    activityTypes: getActivityTypes(),
+    today: getLocalDateString(),
   });
+});
 
-  transaction(joinedChallenges);
-  addFlash(req, "success", "Atividade registrada em todos os desafios.");
-  return res.redirect("/dashboard");
+app.post("/atividades/:activityId", requireAuth, (req, res) => {
+  const { activityId } = req.params;
+  try {
+    updateActivity(req.session.userId, activityId, {
+      activityTypeId: req.body.activity_type_id,
+      amount: req.body.amount,
+      loggedOn: req.body.logged_on,
+    });
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, "error", err.message);
+    return res.redirect(err.status === 404 ? "/atividades" : `/atividades/${activityId}/editar`);
+  }
+
+  addFlash(req, "success", "Atividade atualizada em todos os desafios.");
+  return res.redirect("/atividades");
+});
+
+app.post("/atividades/:activityId/excluir", requireAuth, (req, res) => {
+  try {
+    deleteActivity(req.session.userId, req.params.activityId);
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, "error", err.message);
+    return res.redirect("/atividades");
+  }
+
+  addFlash(req, "success", "Atividade excluída.");
+  return res.redirect("/atividades");
 });
 
 app.get("/perfil", requireAuth, (req, res) => {
-  const user = db
-    .prepare(
-      "SELECT id, name, email, role, created_at, goal_exercises FROM users WHERE id = ?"
-    )
-    .get(req.session.userId);
-  const createdCount = db
-    .prepare("SELECT COUNT(*) AS total FROM challenges WHERE creator_id = ?")
-    .get(req.session.userId).total;
-  const joinedCount = db
-    .prepare(
-      "SELECT COUNT(*) AS total FROM challenge_participants WHERE user_id = ?"
-    )
-    .get(req.session.userId).total;
-  const exerciseCount = db
-    .prepare(
-      "SELECT COUNT(DISTINCT COALESCE(activity_id, id)) AS total FROM exercise_logs WHERE user_id = ?"
-    )
-    .get(req.session.userId).total;
-
-  const endedChallenges = db
-    .prepare(
-      `SELECT DISTINCT c.*
-       FROM challenges c
-       LEFT JOIN challenge_participants cp ON cp.challenge_id = c.id
-       WHERE (c.creator_id = ? OR cp.user_id = ?) AND c.status = 'closed'
-       ORDER BY c.end_date DESC`
-    )
-    .all(req.session.userId, req.session.userId);
-
-  const activityBreakdown = db
-    .prepare(
-      `SELECT activity, COUNT(DISTINCT COALESCE(activity_id, id)) AS total
-       FROM exercise_logs
-       WHERE user_id = ? AND activity IS NOT NULL AND activity != ''
-       GROUP BY activity
-       ORDER BY total DESC`
-    )
-    .all(req.session.userId);
-
-  const today = new Date();
-  const getWeekStart = (date) => {
-    const d = new Date(date);
-    const day = d.getDay() || 7;
-    d.setDate(d.getDate() - (day - 1));
-    d.setHours(0, 0, 0, 0);
-    return d;
-  };
-  const weekStart = getWeekStart(today);
-  const dates = Array.from({ length: 7 }, (_, idx) => {
-    const d = new Date(weekStart);
-    d.setDate(weekStart.getDate() + idx);
-    return d.toISOString().slice(0, 10);
-  });
-  const dayNames = ["Seg", "Ter", "Qua", "Qui", "Sex", "Sab", "Dom"];
-  const logs = db
-    .prepare(
-      `SELECT substr(logged_on, 1, 10) AS day, COUNT(DISTINCT COALESCE(activity_id, id)) AS total
-       FROM exercise_logs
-       WHERE user_id = ? AND substr(logged_on, 1, 10) >= ? AND substr(logged_on, 1, 10) <= ?
-       GROUP BY day`
-    )
-    .all(req.session.userId, dates[0], dates[6]);
-  const dayMap = new Map(logs.map((row) => [row.day, row.total]));
-  const weeklySeries = dates.map((date) => {
-    const [year, month, day] = date.split("-");
-    const dayNameIndex = new Date(`${date}T00:00:00`).getDay();
-    const labelIndex = dayNameIndex === 0 ? 6 : dayNameIndex - 1;
-    return {
-      label: dayNames[labelIndex],
-      dateLabel: `${day}-${month}`,
-      total: dayMap.get(date) || 0,
-    };
-  });
+  const user = userRepo.findById(req.session.userId);
+  const stats = getProfileStats(req.session.userId);
+  let period = resolvePeriod(req.query);
+  const periodError = period.error || null;
+  if (periodError) {
+    period = resolvePeriod();
+  }
+  const endedChallenges = getVisibleChallenges(req.session.userId, "closed")
+    .reverse()
+    .map((challenge) => ({ ...challenge, snapshot: getChallengeSnapshot(challenge) }));
+
+  const digestSubscriptions = participantRepo.listDigestSubscriptions(req.session.userId);
+  const apiTokens = listApiTokens(req.session.userId);
+  const recoveryCodesLeft = user.totp_enabled_at ? countRecoveryCodes(req.session.userId) : 0;
+  const sessions = listUserSessions(req.session.userId, req.sessionID);
 
   res.render("profile", {
     title: "Perfil",
     user,
-    createdCount,
-    joinedCount,
-    exerciseCount,
-    activityBreakdown,
-    weeklySeries,
+    ...stats,
+    periods: PERIODS,
+    period,
+    periodError,
+    customRange: { de: req.query.de || "", ate: req.query.ate || "" },
+    analytics: getPeriodAnalytics(req.session.userId, period),
+    heatmap: getHeatmap(req.session.userId, period.to),
+    goalProgress: getGoalProgress(req.session.userId, user.goal_exercises || 0, period),
+    streaks: getUserStreaks(req.session.userId),
+    badges: getUserBadges(req.session.userId),
+    allBadges: BADGES,
     endedChallenges,
+    digestSubscriptions,
+    apiTokens,
+    recoveryCodesLeft,
+    sessions,
   });
 });
 
+app.post("/perfil/tokens", requireAuth, (req, res) => {
+  const name = (req.body.name || "").trim() || "Token sem nome";
+  const token = createApiToken(req.session.userId, name);
+  addFlash(req, "success", `Token criado (copie agora, ele não será exibido novamente): ${token}`);
+  return res.redirect("/perfil");
+});
+
+app.post("/perfil/tokens/:id/revogar", requireAuth, (req, res) => {
+  const result = revokeApiToken(req.session.userId, Number(req.params.id));
+  if (!result) {
+    addFlash(req, "error", "Token não encontrado.");
+    return res.redirect("/perfil");
+  }
+  addFlash(req, "success", "Token revogado.");
+  return res.redirect("/perfil");
+});
+
+// The secret waits in the session until the first code confirms the app has it,
+// so reloading the page keeps the QR code that was already scanned.
+app.get("/perfil/2fa", requireAuth, async (req, res) => {
+  const user = userRepo.findById(req.session.userId);
+  if (user.totp_enabled_at) {
+    addFlash(req, "info", "A verificação em duas etapas já está ativa.");
+    return res.redirect("/perfil");
+  }
+  if (!req.session.totpSetupSecret) {
+    req.session.totpSetupSecret = generateTotpSecret();
+  }
+  const secret = req.session.totpSetupSecret;
+  let qrSvg = null;
+  try {
+    qrSvg = await renderQrSvg(getOtpAuthUrl(secret, user.email));
+  } catch (err) {
+    console.error("[2fa] Falha ao gerar QR code:", err);
+  }
+  res.render("two_factor_setup", {
+    title: "Verificação em duas etapas",
+    secret: secret.match(/.{1,4}/g).join(" "),
+    qrSvg,
+  });
+});
+
+app.post("/perfil/2fa", requireAuth, (req, res) => {
+  const secret = req.session.totpSetupSecret;
+  if (!secret) {
+    return res.redirect("/perfil/2fa");
+  }
+  const result = enableTwoFactor(req.session.userId, secret, req.body.code);
+  if (result.error) {
+    addFlash(req, "error", result.error);
+    return res.redirect("/perfil/2fa");
+  }
+  delete req.session.totpSetupSecret;
+  return res.render("recovery_codes", {
+    title: "Códigos de recuperação",
+    codes: result.recoveryCodes,
+    justEnabled: true,
+  });
+});
+
+app.post("/perfil/2fa/codigos", requireAuth, async (req, res) => {
+  const user = userRepo.findCredentials(req.session.userId);
+  const ok = await bcrypt.compare(req.body.password || "", user.password_hash);
+  if (!ok) {
+    addFlash(req, "error", "Senha incorreta.");
+    return res.redirect("/perfil");
+  }
+  if (!userRepo.findById(user.id).totp_enabled_at) {
+    return res.redirect("/perfil");
+  }
+  return res.render("recovery_codes", {
+    title: "Códigos de recuperação",
+    codes: createRecoveryCodes(user.id),
+    justEnabled: false,
+  });
+});
+
+app.post("/perfil/2fa/desativar", requireAuth, async (req, res) => {
+  const user = userRepo.findCredentials(req.session.userId);
+  const ok = await bcrypt.compare(req.body.password || "", user.password_hash);
+  if (!ok) {
+    addFlash(req, "error", "Senha incorreta. A verificação em duas etapas continua ativa.");
+    return res.redirect("/perfil");
+  }
+  disableTwoFactor(user.id);
+  addFlash(req, "success", "Verificação em duas etapas desativada.");
+  return res.redirect("/perfil");
+});
+
+app.post("/perfil/sessoes/encerrar-outras", requireAuth, async (req, res) => {
+  const count = await revokeUserSessions(sessionStore, req.session.userId, {
+    except: req.sessionID,
+  });
+  addFlash(req, "success", `${count} sessão(ões) encerrada(s).`);
+  return res.redirect("/perfil");
+});
+
+app.post("/perfil/sessoes/:id/encerrar", requireAuth, async (req, res) => {
+  const revoked = await revokeSession(sessionStore, req.session.userId, Number(req.params.id));
+  if (!revoked) {
+    addFlash(req, "error", "Sessão não encontrada.");
+    return res.redirect("/perfil");
+  }
+  addFlash(req, "success", "Sessão encerrada.");
+  return res.redirect("/perfil");
+});
+
+app.post("/perfil/resumos", requireAuth, (req, res) => {
+  const selected = [].concat(req.body.digest || []).map(Number);
+  participantRepo.setDigestOptIns(req.session.userId, selected);
+  addFlash(req, "success", "Preferências de resumo atualizadas.");
+  return res.redirect("/perfil");
+});
+
 app.post("/perfil/meta", requireAuth, (req, res) => {
   const goal = Number(req.body.goal_exercises || 0);
   if (goal < 0 || Number.isNaN(goal)) {
     addFlash(req, "error", "Informe uma meta valida.");
     return res.redirect("/perfil");
   }
-  db.prepare("UPDATE users SET goal_exercises = ? WHERE id = ?").run(
-    goal,
-    req.session.userId
-  );
+  userRepo.updateGoal(req.session.userId, goal);
   addFlash(req, "success", "Meta atualizada.");
   return res.redirect("/perfil");
 });
 
+app.post("/perfil/verificacao", requireAuth, async (req, res) => {
+  const user = userRepo.findById(req.session.userId);
+  if (user.email_verified_at) {
+    addFlash(req, "info", "Seu e-mail já está confirmado.");
+    return res.redirect("/perfil");
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    console.error("[mail] Falha ao enviar confirmação de e-mail:", err);
+    addFlash(req, "error", "Não foi possível enviar o e-mail de confirmação.");
+    return res.redirect("/perfil");
+  }
+
+  addFlash(req, "success", `Enviamos um novo link de confirmação para ${user.email}.`);
+  return res.redirect("/perfil");
+});
+
+app.get("/perfil/exportar", requireAuth, (req, res) => {
+  const data = exportUserData(req.session.userId);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="fitness-katello-${getLocalDateString()}.json"`
+  );
+  return res.json(data);
+});
+
+app.get("/perfil/exportar/treinos.csv", requireAuth, (req, res) => {
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="treinos-${getLocalDateString()}.csv"`
+  );
+  return res.send(getUserHistoryCsv(req.session.userId));
+});
+
+app.post("/perfil/excluir", requireAuth, async (req, res) => {
+  const user = userRepo.findCredentials(req.session.userId);
+  const ok = await bcrypt.compare(req.body.password || "", user.password_hash);
+  if (!ok) {
+    addFlash(req, "error", "Senha incorreta. Sua conta não foi excluída.");
+    return res.redirect("/perfil");
+  }
+
+  if (user.role === "admin") {
+    if (userRepo.countAdmins() <= 1) {
+      addFlash(req, "error", "Promova outro administrador antes de excluir sua conta.");
+      return res.redirect("/perfil");
+    }
+  }
+
+  deleteUserAccount(user.id);
+  return req.session.destroy(() => res.redirect("/login"));
+});
+
 app.post("/perfil/senha", requireAuth, async (req, res) => {
   const currentPassword = req.body.current_password || "";
   const newPassword = req.body.new_password || "";
   const confirmPassword = req.body.confirm_password || "";
 
-  if (!currentPassword || !newPassword || !confirmPassword) {
+  if (!currentPassword) {
     addFlash(req, "error", "Preencha todos os campos de senha.");
     return res.redirect("/perfil");
   }
 
-  if (newPassword.length < 6) {
-    addFlash(req, "error", "A nova senha deve ter pelo menos 6 caracteres.");
+  const passwordError = validateNewPassword(newPassword, confirmPassword);
+  if (passwordError) {
+    addFlash(req, "error", passwordError);
     return res.redirect("/perfil");
   }
 
-  if (newPassword !== confirmPassword) {
-    addFlash(req, "error", "A confirmação de senha não confere.");
-    return res.redirect("/perfil");
-  }
-
-  const user = db
-    .prepare("SELECT password_hash FROM users WHERE id = ?")
-    .get(req.session.userId);
+  const user = userRepo.findCredentials(req.session.userId);
   if (!user) {
     addFlash(req, "error", "Usuário não encontrado.");
     return res.redirect("/perfil");
@@ -452,49 +1145,244 @@ app.post("/perfil/senha", requireAuth, async (req, res) => {
   }
 
   const passwordHash = await bcrypt.hash(newPassword, 10);
-  db.prepare("UPDATE users SET password_hash = ? WHERE id = ?").run(
-    passwordHash,
-    req.session.userId
-  );
+  userRepo.updatePassword(req.session.userId, passwordHash);
+  const signedOut = await revokeUserSessions(sessionStore, req.session.userId, {
+    except: req.sessionID,
+  });
 
-  addFlash(req, "success", "Senha atualizada com sucesso.");
+  addFlash(
+    req,
+    "success",
+    signedOut
+      ? `Senha atualizada com sucesso. ${signedOut} outra(s) sessão(ões) foram encerradas.`
+      : "Senha atualizada com sucesso."
+  );
   return res.redirect("/perfil");
 });
 
-app.get("/admin/usuarios", requireAuth, (req, res) => {
-  const users = db
-    .prepare(
-      `SELECT u.id, u.name, u.email, u.created_at,
-        (SELECT COUNT(*) FROM challenges c WHERE c.creator_id = u.id) AS challenges_created,
-        (SELECT COUNT(*) FROM challenge_participants cp WHERE cp.user_id = u.id) AS challenges_joined,
-        (SELECT COUNT(*) FROM exercise_logs e WHERE e.user_id = u.id) AS exercise_count
-       FROM users u
-       ORDER BY u.created_at DESC`
-    )
-    .all();
+app.get("/admin/usuarios", requireAdmin, (req, res) => {
+  const users = userRepo.listWithStats();
 
-  res.render("admin_users", { title: "Usuários", users });
+  res.render("admin_users", {
+    title: "Usuários",
+    users,
+    roles: ROLES,
+    currentUserId: req.session.userId,
+  });
 });
 
-app.post("/admin/usuarios/:id/reset", requireAuth, async (req, res) => {
+app.post("/admin/usuarios/:id/papel", requireAdmin, (req, res) => {
   const userId = Number(req.params.id);
-  const tempPassword = crypto.randomBytes(4).toString("hex");
-  const passwordHash = await bcrypt.hash(tempPassword, 10);
+  const role = req.body.role;
+
+  if (!ROLES.includes(role)) {
+    addFlash(req, "error", "Papel inválido.");
+    return res.redirect("/admin/usuarios");
+  }
+
+  if (userId === req.session.userId) {
+    addFlash(req, "error", "Você não pode alterar seu próprio papel.");
+    return res.redirect("/admin/usuarios");
+  }
+
+  const user = userRepo.findById(userId);
+  if (!user) {
+    addFlash(req, "error", "Usuário não encontrado.");
+    return res.redirect("/admin/usuarios");
+  }
+
+  userRepo.updateRole(userId, role);
+  addFlash(req, "success", `Papel atualizado para ${ROLE_LABELS[role]}.`);
+  return res.redirect("/admin/usuarios");
+});
+
+app.get("/admin/atividades", requireAdmin, (req, res) => {
+  const activityTypes = activityTypeRepo.listWithUsage();
+  res.render("admin_activities", { title: "Tipos de atividade", activityTypes });
+});
+
+app.post("/admin/atividades", requireAdmin, (req, res) => {
+  const name = (req.body.name || "").trim();
+  const unit = req.body.unit;
+
+  if (!name || !UNIT_LABELS[unit]) {
+    addFlash(req, "error", "Informe o nome e a unidade da atividade.");
+    return res.redirect("/admin/atividades");
+  }
+
+  const existing = activityTypeRepo.findByName(name);
+  if (existing) {
+    addFlash(req, "error", "Esta atividade ja existe.");
+    return res.redirect("/admin/atividades");
+  }
+
+  activityTypeRepo.create(name, unit);
+  addFlash(req, "success", "Atividade adicionada.");
+  return res.redirect("/admin/atividades");
+});
+
+app.post("/admin/atividades/:id/excluir", requireAdmin, (req, res) => {
+  const typeId = Number(req.params.id);
+  if (logRepo.countByActivityType(typeId)) {
+    addFlash(req, "error", "Esta atividade já possui registros e não pode ser excluída.");
+    return res.redirect("/admin/atividades");
+  }
+
+  activityTypeRepo.remove(typeId);
+  addFlash(req, "success", "Atividade excluída.");
+  return res.redirect("/admin/atividades");
+});
+
+function renderImport(res, { challengeId = "", csv = "", addMissing = false, preview = null, error = null } = {}) {
+  const challenges = challengeRepo.listOpen();
+  return res.render("admin_import", {
+    title: "Importar registros",
+    challenges,
+    form: { challengeId: Number(challengeId) || "", csv, addMissing },
+    preview,
+    error,
+  });
+}
+
+app.get("/admin/importar", requireAdmin, (req, res) => {
+  return renderImport(res);
+});
+
+app.post("/admin/importar", requireAdmin, (req, res) => {
+  const form = {
+    challengeId: req.body.challenge_id,
+    csv: req.body.csv || "",
+    addMissing: req.body.add_missing === "1",
+  };
+
+  try {
+    if (req.body.action !== "import") {
+      const preview = previewLogImport(Number(form.challengeId), form.csv, form);
+      return renderImport(res, { ...form, preview });
+    }
+    const result = importLogs(Number(form.challengeId), form.csv, form);
+    const joined = result.accepted.filter((row) => row.joins).length;
+    addFlash(
+      req,
+      "success",
+      `${result.accepted.length} registro(s) importado(s) em ${result.challenge.title}` +
+        (joined ? `, ${joined} participante(s) adicionado(s)` : "") +
+        (result.rejected.length ? `; ${result.rejected.length} linha(s) ignorada(s).` : ".")
+    );
+    return res.redirect(`/challenges/${result.challenge.id}`);
+  } catch (err) {
+    if (err instanceof ChallengeError) {
+      return renderImport(res, { ...form, error: err.message });
+    }
+    throw err;
+  }
+});
+
+app.get("/admin/backups", requireAdmin, (req, res) => {
+  res.render("admin_backups", {
+    title: "Backups",
+    supported: backupsSupported(),
+    backups: backupsSupported() ? listBackups() : [],
+    retentionMonths: getRetentionMonths(),
+    archivedChallenges: getArchivedChallenges(),
+  });
+});
+
+app.post("/admin/backups", requireAdmin, async (req, res) => {
+  try {
+    const backup = await createBackup();
+    addFlash(req, "success", `Backup ${backup.name} criado.`);
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      console.error("[backup] Falha ao criar backup:", err);
+    }
+    addFlash(req, "error", err instanceof ChallengeError ? err.message : "Não foi possível criar o backup.");
+  }
+  return res.redirect("/admin/backups");
+});
+
+app.get("/admin/backups/:name", requireAdmin, (req, res) => {
+  try {
+    return res.download(resolveBackup(req.params.name), req.params.name);
+  } catch (err) {
+    if (err instanceof ChallengeError) {
+      addFlash(req, "error", err.message);
+      return res.redirect("/admin/backups");
+    }
+    throw err;
+  }
+});
+
+app.post("/admin/backups/:name/restaurar", requireAdmin, async (req, res) => {
+  try {
+    const safety = await restoreBackup(req.params.name);
+    addFlash(
+      req,
+      "success",
+      `Backup ${req.params.name} restaurado. O estado anterior foi salvo em ${safety.name}.`
+    );
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      console.error("[backup] Falha ao restaurar backup:", err);
+    }
+    addFlash(req, "error", err instanceof ChallengeError ? err.message : "Não foi possível restaurar o backup.");
+  }
+  return res.redirect("/admin/backups");
+});
+
+app.post("/admin/backups/arquivar", requireAdmin, (req, res) => {
+  if (!getRetentionMonths()) {
+    addFlash(req, "error", "Defina RETENTION_MONTHS para arquivar desafios antigos.");
+    return res.redirect("/admin/backups");
+  }
+  const archived = archiveClosedChallenges();
+  addFlash(
+    req,
+    archived.length ? "success" : "info",
+    archived.length
+      ? `${archived.length} desafio(s) arquivado(s).`
+      : "Nenhum desafio encerrado há mais tempo que o prazo de retenção."
+  );
+  return res.redirect("/admin/backups");
+});
+
+app.post("/admin/usuarios/:id/reset", requireAdmin, async (req, res) => {
+  const user = userRepo.findById(Number(req.params.id));
+  if (!user) {
+    addFlash(req, "error", "Usuário não encontrado.");
+    return res.redirect("/admin/usuarios");
+  }
+
+  try {
+    await sendPasswordResetEmail(user);
+  } catch (err) {
+    console.error("[mail] Falha ao enviar redefinição de senha:", err);
+    addFlash(req, "error", "Não foi possível enviar o e-mail de redefinição.");
+    return res.redirect("/admin/usuarios");
+  }
 
-  const result = db
-    .prepare("UPDATE users SET password_hash = ? WHERE id = ?")
-    .run(passwordHash, userId);
+  addFlash(req, "success", `Link de redefinição de senha enviado para ${user.email}.`);
+  return res.redirect("/admin/usuarios");
+});
 
-  if (!result.changes) {
+app.post("/admin/usuarios/:id/sessoes/encerrar", requireAdmin, async (req, res) => {
+  const user = userRepo.findById(Number(req.params.id));
+  if (!user) {
     addFlash(req, "error", "Usuário não encontrado.");
     return res.redirect("/admin/usuarios");
   }
+  const count = await revokeUserSessions(sessionStore, user.id, { except: req.sessionID });
+  addFlash(req, "success", `${count} sessão(ões) de ${user.name} encerrada(s).`);
+  return res.redirect("/admin/usuarios");
+});
 
-  addFlash(req, "success", `Senha temporaria: ${tempPassword}`);
+app.post("/admin/usuarios/:id/verificar", requireAdmin, (req, res) => {
+  markEmailVerified(Number(req.params.id));
+  addFlash(req, "success", "E-mail marcado como confirmado.");
   return res.redirect("/admin/usuarios");
 });
 
-app.post("/admin/usuarios/:id/excluir", requireAuth, (req, res) => {
+app.post("/admin/usuarios/:id/excluir", requireAdmin, (req, res) => {
   const userId = Number(req.params.id);
 
   if (userId === req.session.userId) {
@@ -502,157 +1390,105 @@ app.post("/admin/usuarios/:id/excluir", requireAuth, (req, res) => {
     return res.redirect("/admin/usuarios");
   }
 
-  const deleteUser = db.transaction((targetUserId) => {
-    const challengeIds = db
-      .prepare("SELECT id FROM challenges WHERE creator_id = ?")
-      .all(targetUserId)
-      .map((row) => row.id);
-
-    if (challengeIds.length) {
-      const placeholders = challengeIds.map(() => "?").join(", ");
-      db.prepare(
-        `DELETE FROM exercise_logs WHERE challenge_id IN (${placeholders})`
-      ).run(...challengeIds);
-      db.prepare(
-        `DELETE FROM challenge_participants WHERE challenge_id IN (${placeholders})`
-      ).run(...challengeIds);
-      db.prepare(`DELETE FROM challenges WHERE id IN (${placeholders})`).run(
-        ...challengeIds
-      );
-    }
-
-    db.prepare("DELETE FROM exercise_logs WHERE user_id = ?").run(targetUserId);
-    db.prepare("DELETE FROM challenge_participants WHERE user_id = ?").run(
-      targetUserId
-    );
-    db.prepare("DELETE FROM users WHERE id = ?").run(targetUserId);
-  });
-
-  deleteUser(userId);
+  deleteUserAccount(userId);
   addFlash(req, "success", "Usuário excluído.");
   return res.redirect("/admin/usuarios");
 });
 
-app.get("/challenges/novo", requireAuth, (req, res) => {
+app.get("/challenges/novo", requireRole("admin", "organizer"), (req, res) => {
   const today = new Date().toISOString().slice(0, 10);
-  res.render("create_challenge", { title: "Novo desafio", today });
+  res.render("create_challenge", {
+    title: "Novo desafio",
+    today,
+    metrics: METRIC_LABELS,
+    scoringModes: SCORING_MODES,
+    scoringDefaults: DEFAULT_SCORING_CONFIG,
+    activityTypes: getActivityTypes(),
+  });
 });
 
-app.post("/challenges/novo", requireAuth, (req, res) => {
-  const title = (req.body.title || "").trim();
-  const description = (req.body.description || "").trim();
-  const startDate = req.body.start_date;
-  const endDate = req.body.end_date;
-  const goalCount = Number(req.body.goal_count || 0);
-  const groupGoal = req.body.group_goal ? Number(req.body.group_goal) : null;
-  const prize = (req.body.prize || "").trim();
-  const penalty = (req.body.penalty || "").trim();
+app.post("/challenges/novo", requireRole("admin", "organizer"), (req, res) => {
+  const metric = req.body.metric || "workouts";
 
-  if (!description || !startDate || !endDate || !goalCount) {
-    addFlash(req, "error", "Descrição, datas e meta são obrigatórios.");
+  const form = parseChallengeForm(req.body);
+  if (form.error) {
+    addFlash(req, "error", form.error);
     return res.redirect("/challenges/novo");
   }
+  const { values } = form;
 
-  if (groupGoal !== null && (Number.isNaN(groupGoal) || groupGoal <= 0)) {
-    addFlash(req, "error", "Meta do grupo deve ser um número válido.");
+  if (!METRIC_LABELS[metric]) {
+    addFlash(req, "error", "Métrica inválida.");
     return res.redirect("/challenges/novo");
   }
 
-  const inviteCode = generateInviteCode();
-  const result = db
-    .prepare(
-      `INSERT INTO challenges
-        (title, description, start_date, end_date, goal_count, group_goal, status, prize, penalty, invite_code, created_at, creator_id)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-    )
-    .run(
-      title,
-      description || null,
-      startDate,
-      endDate,
-      goalCount,
-      groupGoal,
-      "active",
-      prize || null,
-      penalty || null,
-      inviteCode,
-      new Date().toISOString(),
-      req.session.userId
-    );
+  const scoring = parseScoringForm(req.body);
+  if (scoring.error) {
+    addFlash(req, "error", scoring.error);
+    return res.redirect("/challenges/novo");
+  }
+
+  const challengeId = challengeRepo.create(
+    {
+      ...values,
+      metric,
+      scoring_mode: scoring.mode,
+      scoring_config: JSON.stringify(scoring.config),
+    },
+    req.session.userId
+  );
 
-  db.prepare(
-    `INSERT INTO challenge_participants (user_id, challenge_id, joined_at)
-     VALUES (?, ?, ?)`
-  ).run(req.session.userId, result.lastInsertRowid, new Date().toISOString());
+  addParticipant(req.session.userId, challengeId);
+  createInvite(challengeId, { name: "Link principal" }, req.session.userId);
 
   addFlash(req, "success", "Desafio criado!");
-  return res.redirect(`/challenges/${result.lastInsertRowid}`);
+  return res.redirect(`/challenges/${challengeId}`);
 });
 
 app.get("/challenges/:id", requireAuth, (req, res) => {
   const challengeId = Number(req.params.id);
-  const challenge = db
-    .prepare("SELECT * FROM challenges WHERE id = ?")
-    .get(challengeId);
+  const challenge = challengeRepo.findById(challengeId);
   if (!challenge) {
     addFlash(req, "error", "Desafio não encontrado.");
     return res.redirect("/dashboard");
   }
 
-  const participant = db
-    .prepare(
-      "SELECT id FROM challenge_participants WHERE user_id = ? AND challenge_id = ?"
-    )
-    .get(req.session.userId, challengeId);
-  let hasJoined = Boolean(participant);
+  let hasJoined = isParticipant(req.session.userId, challengeId);
   const isOwner = challenge.creator_id === req.session.userId;
+  const isAdmin = req.session.role === "admin";
 
-  if (!hasJoined && !isOwner) {
+  if (!hasJoined && !isOwner && !isAdmin) {
     addFlash(req, "error", "Você não participa deste desafio.");
     return res.redirect("/dashboard");
   }
 
-  if (challenge.status !== "active") {
+  const state = getChallengeState(challenge);
+  if (state === "closed") {
     addFlash(req, "info", "Este desafio está encerrado.");
   }
 
   if (isOwner && !hasJoined) {
-    db.prepare(
-      `INSERT INTO challenge_participants (user_id, challenge_id, joined_at)
-       VALUES (?, ?, ?)`
-    ).run(req.session.userId, challengeId, new Date().toISOString());
+    addParticipant(req.session.userId, challengeId);
     hasJoined = true;
   }
 
-  if (!challenge.invite_code) {
-    const newCode = generateInviteCode();
-    db.prepare("UPDATE challenges SET invite_code = ? WHERE id = ?").run(
-      newCode,
-      challengeId
-    );
-    challenge.invite_code = newCode;
-  }
-
-  const leaderboardRows = db
-    .prepare(
-      `SELECT u.id AS user_id, u.name AS name, COALESCE(COUNT(e.id), 0) AS total
-       FROM users u
-       JOIN challenge_participants cp ON cp.user_id = u.id
-       LEFT JOIN exercise_logs e
-         ON e.user_id = u.id AND e.challenge_id = cp.challenge_id
-       WHERE cp.challenge_id = ?
-       GROUP BY u.id
-       ORDER BY total DESC, u.name ASC`
-    )
-    .all(challengeId);
-
-  const leaderboard = leaderboardRows.map((row) => ({
+  const canManage = isOwner || isAdmin;
+  const canOrganize = canManage || isOrganizer(req.session.userId, challenge);
+  const primaryInvite = canOrganize ? getPrimaryInvite(challengeId) : null;
+
+  const rankingRows = getLeaderboard(challenge);
+  const leaderboard = rankingRows.map((row) => ({
     userId: row.user_id,
     name: row.name,
     total: row.total,
     remaining: Math.max(challenge.goal_count - row.total, 0),
   }));
+  const badgesByUser = getBadgesByUser(rankingRows.map((row) => row.user_id));
+  const teams = getTeams(challengeId);
+  const myRow = rankingRows.find((row) => row.user_id === req.session.userId);
 
+  const snapshot = state === "closed" ? getChallengeSnapshot(challenge) : null;
+  const results = snapshot ? getChallengeResults(challengeId) : [];
 
   res.render("challenge", {
     title: challenge.title,
@@ -660,8 +1496,35 @@ app.get("/challenges/:id", requireAuth, (req, res) => {
     hasJoined,
     leaderboard,
     isOwner,
+    canManage,
+    canOrganize,
+    canAdd: state !== "closed" && (isAdmin || canAddMembers(req.session.userId, challenge)),
+    participants: canOrganize ? getParticipants(challengeId) : [],
+    addPolicies: ADD_POLICIES,
+    participantRoleLabels: PARTICIPANT_ROLE_LABELS,
+    pendingRequests: canOrganize ? getJoinRequests(challengeId).length : 0,
+    state,
+    snapshot,
+    results,
+    myResult: results.find((row) => row.user_id === req.session.userId),
+    changes: getChallengeChanges(challengeId),
+    badgesByUser,
+    badgeInfo: BADGES,
+    teams,
+    teamLeaderboard: getTeamLeaderboard(challenge, rankingRows, teams),
+    teamScoring: TEAM_SCORING,
+    myTeamId: myRow ? myRow.team_id : null,
+    feed: getFeed(challengeId, req.session.userId, { pageSize: 5 }),
+    reviewLabels: REVIEW_LABELS,
+    groupTarget: getGroupTarget(challenge, leaderboard.length, teams),
+    settingLabels: SETTING_LABELS,
+    scoreUnit: scoreLabel(challenge),
+    scoringModeLabel: SCORING_MODES[challenge.scoring_mode] || SCORING_MODES.total,
     today: getLocalDateString(),
-    inviteLink: `${req.protocol}://${req.get("host")}/convite/${challenge.invite_code}`,
+    activityTypes: getActivityTypes(),
+    inviteLink: primaryInvite
+      ? `${req.protocol}://${req.get("host")}/convite/${primaryInvite.code}`
+      : null,
   });
 });
 
@@ -674,50 +1537,35 @@ app.post("/challenges/:id/adicionar", requireAuth, (req, res) => {
     return res.redirect(`/challenges/${challengeId}`);
   }
 
-  const challenge = db
-    .prepare("SELECT id, creator_id FROM challenges WHERE id = ?")
-    .get(challengeId);
+  const challenge = challengeRepo.findById(challengeId);
   if (!challenge) {
     addFlash(req, "error", "Desafio não encontrado.");
     return res.redirect("/dashboard");
   }
 
-  const challengeStatus = db
-    .prepare("SELECT status FROM challenges WHERE id = ?")
-    .get(challengeId);
-  if (!challengeStatus || challengeStatus.status !== "active") {
+  if (challenge.status !== "active") {
     addFlash(req, "error", "Este desafio está encerrado.");
     return res.redirect(`/challenges/${challengeId}`);
   }
 
-  const isParticipant = db
-    .prepare(
-      "SELECT id FROM challenge_participants WHERE user_id = ? AND challenge_id = ?"
-    )
-    .get(req.session.userId, challengeId);
-
-  if (!isParticipant && challenge.creator_id !== req.session.userId) {
+  if (req.session.role !== "admin" && !canAddMembers(req.session.userId, challenge)) {
     addFlash(req, "error", "Você não pode adicionar usuários neste desafio.");
-    return res.redirect("/dashboard");
+    return res.redirect(`/challenges/${challengeId}`);
   }
 
-  const user = db.prepare("SELECT id FROM users WHERE email = ?").get(email);
+  const user = userRepo.findByEmail(email);
   if (!user) {
     addFlash(req, "error", "Usuário não encontrado.");
     return res.redirect(`/challenges/${challengeId}`);
   }
+  if (!user.email_verified_at) {
+    addFlash(req, "error", "Este usuário ainda não confirmou o e-mail.");
+    return res.redirect(`/challenges/${challengeId}`);
+  }
 
   if (user.id === challenge.creator_id) {
-    const creatorParticipant = db
-      .prepare(
-        "SELECT id FROM challenge_participants WHERE user_id = ? AND challenge_id = ?"
-      )
-      .get(user.id, challengeId);
-    if (!creatorParticipant) {
-      db.prepare(
-        `INSERT INTO challenge_participants (user_id, challenge_id, joined_at)
-         VALUES (?, ?, ?)`
-      ).run(user.id, challengeId, new Date().toISOString());
+    if (!isParticipant(user.id, challengeId)) {
+      addParticipant(user.id, challengeId);
       addFlash(req, "success", "Criador adicionado como participante.");
       return res.redirect(`/challenges/${challengeId}`);
     }
@@ -725,84 +1573,127 @@ app.post("/challenges/:id/adicionar", requireAuth, (req, res) => {
     return res.redirect(`/challenges/${challengeId}`);
   }
 
-  const existing = db
-    .prepare(
-      "SELECT id FROM challenge_participants WHERE user_id = ? AND challenge_id = ?"
-    )
-    .get(user.id, challengeId);
-  if (existing) {
+  if (isParticipant(user.id, challengeId)) {
     addFlash(req, "info", "Usuário já participa deste desafio.");
     return res.redirect(`/challenges/${challengeId}`);
   }
 
-  db.prepare(
-    `INSERT INTO challenge_participants (user_id, challenge_id, joined_at)
-     VALUES (?, ?, ?)`
-  ).run(user.id, challengeId, new Date().toISOString());
+  if (
+    isRemovedFrom(user.id, challengeId) &&
+    req.session.role !== "admin" &&
+    !isOrganizer(req.session.userId, challenge)
+  ) {
+    addFlash(
+      req,
+      "error",
+      "Este usuário foi removido pelos organizadores; só eles podem adicioná-lo de novo."
+    );
+    return res.redirect(`/challenges/${challengeId}`);
+  }
+
+  addParticipant(user.id, challengeId);
 
   addFlash(req, "success", "Usuário adicionado ao desafio.");
   return res.redirect(`/challenges/${challengeId}`);
 });
 
-app.get("/convite/:code", requireAuth, (req, res) => {
-  const code = req.params.code;
-  const challenge = db
-    .prepare("SELECT * FROM challenges WHERE invite_code = ?")
-    .get(code);
-  if (!challenge) {
-    addFlash(req, "error", "Convite invalido.");
+app.get("/convite/:code", (req, res) => {
+  // Visitors go through login/registration and come back here afterwards.
+  if (!req.session.userId) {
+    req.session.returnTo = `/convite/${encodeURIComponent(req.params.code)}`;
+    addFlash(req, "info", "Entre ou crie sua conta para aceitar o convite.");
+    return res.redirect("/login");
+  }
+
+  let result;
+  try {
+    result = joinChallengeByInvite(req.session.userId, req.params.code);
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    if (err.status === 403) {
+      req.session.returnTo = `/convite/${encodeURIComponent(req.params.code)}`;
+    }
+    addFlash(req, "error", err.message);
     return res.redirect("/dashboard");
   }
 
-  if (challenge.status !== "active") {
-    addFlash(req, "error", "Este desafio está encerrado.");
+  if (result.pending) {
+    addFlash(req, "info", "Pedido enviado. Você entra no desafio assim que o criador aprovar.");
     return res.redirect("/dashboard");
   }
 
-  if (challenge.creator_id === req.session.userId) {
-    return res.redirect(`/challenges/${challenge.id}`);
+  if (result.joined) {
+    addFlash(req, "success", "Você entrou no desafio!");
+  }
+  return res.redirect(`/challenges/${result.challenge.id}`);
+});
+
+app.get("/resultados/:code", (req, res) => {
+  const snapshot = getSnapshotByCode(req.params.code);
+  if (!snapshot) {
+    addFlash(req, "error", "Resultado não encontrado.");
+    return res.redirect("/");
   }
 
-  const existing = db
-    .prepare(
-      "SELECT id FROM challenge_participants WHERE user_id = ? AND challenge_id = ?"
-    )
-    .get(req.session.userId, challenge.id);
-  if (!existing) {
-    db.prepare(
-      `INSERT INTO challenge_participants (user_id, challenge_id, joined_at)
-       VALUES (?, ?, ?)`
-    ).run(req.session.userId, challenge.id, new Date().toISOString());
+  const results = getChallengeResults(snapshot.challenge_id);
+  res.render("results", {
+    title: `Resultado - ${snapshot.title}`,
+    snapshot,
+    results,
+    winners: results.filter((row) => row.is_winner),
+    shareLink: `${req.protocol}://${req.get("host")}/resultados/${snapshot.share_code}`,
+  });
+});
+
+app.get("/resultados/:code/certificado/:resultId", (req, res) => {
+  const snapshot = getSnapshotByCode(req.params.code);
+  const result = snapshot
+    ? getChallengeResult(snapshot.challenge_id, Number(req.params.resultId))
+    : null;
+  if (!result) {
+    addFlash(req, "error", "Certificado não encontrado.");
+    return res.redirect("/");
   }
 
-  addFlash(req, "success", "Você entrou no desafio!");
-  return res.redirect(`/challenges/${challenge.id}`);
+  res.render("certificate", {
+    layout: false,
+    title: `Certificado - ${result.user_name}`,
+    snapshot,
+    result,
+  });
 });
 
+// Everyone else joins through an invite link, so revocation, expiry, usage
+// limits and approval apply to them.
 app.post("/challenges/:id/entrar", requireAuth, (req, res) => {
   const challengeId = Number(req.params.id);
-  const challenge = db
-    .prepare("SELECT status FROM challenges WHERE id = ?")
-    .get(challengeId);
-  if (!challenge || challenge.status !== "active") {
+  const challenge = challengeRepo.findById(challengeId);
+  if (
+    !challenge ||
+    (challenge.creator_id !== req.session.userId && req.session.role !== "admin")
+  ) {
+    addFlash(req, "error", "Para entrar neste desafio use um link de convite.");
+    return res.redirect("/dashboard");
+  }
+
+  if (challenge.status !== "active") {
     addFlash(req, "error", "Este desafio está encerrado.");
     return res.redirect(`/challenges/${challengeId}`);
   }
 
-  const existing = db
-    .prepare(
-      "SELECT id FROM challenge_participants WHERE user_id = ? AND challenge_id = ?"
-    )
-    .get(req.session.userId, challengeId);
-  if (existing) {
+  if (isParticipant(req.session.userId, challengeId)) {
     addFlash(req, "info", "Você já participa deste desafio.");
     return res.redirect(`/challenges/${challengeId}`);
   }
 
-  db.prepare(
-    `INSERT INTO challenge_participants (user_id, challenge_id, joined_at)
-     VALUES (?, ?, ?)`
-  ).run(req.session.userId, challengeId, new Date().toISOString());
+  if (!isEmailVerified(req.session.userId)) {
+    addFlash(req, "error", "Confirme seu e-mail antes de entrar em desafios.");
+    return res.redirect(`/challenges/${challengeId}`);
+  }
+
+  addParticipant(req.session.userId, challengeId);
 
   addFlash(req, "success", "Participação confirmada. Bora treinar!");
   return res.redirect(`/challenges/${challengeId}`);
@@ -810,88 +1701,491 @@ app.post("/challenges/:id/entrar", requireAuth, (req, res) => {
 
 app.post("/challenges/:id/log", requireAuth, (req, res) => {
   const challengeId = Number(req.params.id);
-  const activity = (req.body.activity || "").trim();
-  const loggedOn = req.body.logged_on || getLocalDateString();
-
-  if (!activity) {
-    addFlash(req, "error", "Informe o tipo de exercício.");
+  let result;
+  try {
+    result = logChallengeActivity(req.session.userId, challengeId, {
+      activityTypeId: req.body.activity_type_id,
+      amount: req.body.amount,
+      loggedOn: req.body.logged_on,
+    });
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, "error", err.message);
     return res.redirect(`/challenges/${challengeId}`);
   }
 
-  const isParticipant = db
-    .prepare(
-      "SELECT id FROM challenge_participants WHERE user_id = ? AND challenge_id = ?"
-    )
-    .get(req.session.userId, challengeId);
-  if (!isParticipant) {
-    addFlash(req, "error", "Entre no desafio antes de registrar treinos.");
-    return res.redirect(`/challenges/${challengeId}`);
+  addFlash(req, "success", "Treino registrado!");
+  flashNewBadges(req, result.badges);
+  return res.redirect(`/challenges/${challengeId}`);
+});
+
+app.get("/challenges/:id/convites", requireAuth, requireOrganizer, (req, res) => {
+  res.render("challenge_invites", {
+    title: `Convites - ${req.challenge.title}`,
+    challenge: req.challenge,
+    invites: getChallengeInvites(req.challenge.id),
+    requests: getJoinRequests(req.challenge.id),
+    joins: getInviteJoins(req.challenge.id),
+    inviteBaseUrl: `${req.protocol}://${req.get("host")}/convite/`,
+    today: getLocalDateString(),
+  });
+});
+
+app.post("/challenges/:id/convites", requireAuth, requireOrganizer, (req, res) => {
+  const challengeId = req.challenge.id;
+  try {
+    createInvite(
+      challengeId,
+      {
+        name: req.body.name,
+        expiresOn: req.body.expires_on,
+        maxUses: req.body.max_uses,
+        requiresApproval: req.body.requires_approval === "1",
+      },
+      req.session.userId
+    );
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, "error", err.message);
+    return res.redirect(`/challenges/${challengeId}/convites`);
   }
+  addFlash(req, "success", "Convite criado.");
+  return res.redirect(`/challenges/${challengeId}/convites`);
+});
 
-  db.prepare(
-    `INSERT INTO exercise_logs (user_id, challenge_id, count, activity, activity_id, logged_on, created_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?)`
-  ).run(
-    req.session.userId,
-    challengeId,
-    1,
-    activity,
-    crypto.randomBytes(8).toString("hex"),
-    loggedOn,
-    new Date().toISOString()
-  );
+app.post(
+  "/challenges/:id/convites/:inviteId/:action(regenerar|revogar)",
+  requireAuth,
+  requireOrganizer,
+  (req, res) => {
+    const challengeId = req.challenge.id;
+    const inviteId = Number(req.params.inviteId);
+    try {
+      if (req.params.action === "regenerar") {
+        regenerateInvite(challengeId, inviteId);
+        addFlash(req, "success", "Novo código gerado. O link antigo deixou de funcionar.");
+      } else {
+        revokeInvite(challengeId, inviteId);
+        addFlash(req, "success", "Convite revogado.");
+      }
+    } catch (err) {
+      if (!(err instanceof ChallengeError)) {
+        throw err;
+      }
+      addFlash(req, err.status === 409 ? "info" : "error", err.message);
+    }
+    return res.redirect(`/challenges/${challengeId}/convites`);
+  }
+);
 
-  addFlash(req, "success", "Treino registrado!");
-  return res.redirect(`/challenges/${challengeId}`);
+app.post(
+  "/challenges/:id/solicitacoes/:requestId/:action(aprovar|recusar)",
+  requireAuth,
+  requireOrganizer,
+  (req, res) => {
+    const challengeId = req.challenge.id;
+    const approve = req.params.action === "aprovar";
+    try {
+      decideJoinRequest(challengeId, Number(req.params.requestId), approve, req.session.userId);
+    } catch (err) {
+      if (!(err instanceof ChallengeError)) {
+        throw err;
+      }
+      addFlash(req, "error", err.message);
+      return res.redirect(`/challenges/${challengeId}/convites`);
+    }
+    addFlash(req, "success", approve ? "Participante aprovado." : "Solicitação recusada.");
+    return res.redirect(`/challenges/${challengeId}/convites`);
+  }
+);
+
+function handleParticipantAction(req, res, action, successMessage) {
+  try {
+    action();
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, err.status === 409 ? "info" : "error", err.message);
+    return res.redirect(`/challenges/${req.params.id}`);
+  }
+  addFlash(req, "success", successMessage);
+  return res.redirect(`/challenges/${req.params.id}`);
+}
+
+app.post(
+  "/challenges/:id/participantes/:userId/remover",
+  requireAuth,
+  requireOrganizer,
+  (req, res) => {
+    const userId = Number(req.params.userId);
+    const challenge = req.challenge;
+    const actorIsManager =
+      challenge.creator_id === req.session.userId || req.session.role === "admin";
+    const target = getParticipants(challenge.id).find((row) => row.id === userId);
+    if (target && target.role === "co_organizer" && !actorIsManager) {
+      addFlash(req, "error", "Só o criador pode remover co-organizadores.");
+      return res.redirect(`/challenges/${challenge.id}`);
+    }
+    return handleParticipantAction(
+      req,
+      res,
+      () =>
+        removeParticipant(challenge, userId, {
+          keepLogs: req.body.keep_logs !== "0",
+          actorId: req.session.userId,
+        }),
+      "Participante removido."
+    );
+  }
+);
+
+app.post(
+  "/challenges/:id/participantes/:userId/coorganizador",
+  requireAuth,
+  requireCreator,
+  (req, res) => {
+    const enabled = req.body.enabled === "1";
+    return handleParticipantAction(
+      req,
+      res,
+      () => setCoOrganizer(req.challenge, Number(req.params.userId), enabled),
+      enabled ? "Co-organizador adicionado." : "Co-organizador removido."
+    );
+  }
+);
+
+app.post("/challenges/:id/transferir", requireAuth, requireCreator, (req, res) =>
+  handleParticipantAction(
+    req,
+    res,
+    () => transferOwnership(req.challenge, Number(req.body.user_id)),
+    "Desafio transferido. Você continua como co-organizador."
+  )
+);
+
+app.post("/challenges/:id/politica", requireAuth, requireCreator, (req, res) =>
+  handleParticipantAction(
+    req,
+    res,
+    () => setAddPolicy(req.challenge, req.body.add_policy),
+    "Permissões atualizadas."
+  )
+);
+
+function handleTeamAction(req, res, action, successMessage) {
+  try {
+    action();
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, err.status === 409 ? "info" : "error", err.message);
+    return res.redirect(`/challenges/${req.params.id}/equipes`);
+  }
+  addFlash(req, "success", successMessage);
+  return res.redirect(`/challenges/${req.params.id}/equipes`);
+}
+
+app.get("/challenges/:id/equipes", requireAuth, requireCreator, (req, res) => {
+  const challengeId = req.challenge.id;
+  const teams = getTeams(challengeId);
+  res.render("challenge_teams", {
+    title: `Equipes - ${req.challenge.title}`,
+    challenge: req.challenge,
+    teams,
+    teamLeaderboard: getTeamLeaderboard(req.challenge, getLeaderboard(req.challenge), teams),
+    teamScoring: TEAM_SCORING,
+    participants: participantRepo.listWithTeams(challengeId),
+    scoreUnit: scoreLabel(req.challenge),
+  });
 });
 
-app.post("/challenges/:id/encerrar", requireAuth, (req, res) => {
+app.post("/challenges/:id/equipes", requireAuth, requireCreator, (req, res) =>
+  handleTeamAction(
+    req,
+    res,
+    () => createTeam(req.challenge, { name: req.body.name, goal: req.body.goal }),
+    "Equipe criada."
+  )
+);
+
+app.post("/challenges/:id/equipes/configuracao", requireAuth, requireCreator, (req, res) =>
+  handleTeamAction(
+    req,
+    res,
+    () =>
+      setTeamSettings(req.challenge, {
+        scoring: req.body.team_scoring,
+        selfJoin: req.body.team_self_join === "1",
+      }),
+    "Configuração das equipes atualizada."
+  )
+);
+
+app.post("/challenges/:id/equipes/membros", requireAuth, requireCreator, (req, res) =>
+  handleTeamAction(
+    req,
+    res,
+    () => assignTeam(req.challenge, Number(req.body.user_id), Number(req.body.team_id) || null),
+    "Equipe do participante atualizada."
+  )
+);
+
+app.post("/challenges/:id/equipes/:teamId", requireAuth, requireCreator, (req, res) =>
+  handleTeamAction(
+    req,
+    res,
+    () =>
+      updateTeam(req.challenge, Number(req.params.teamId), {
+        name: req.body.name,
+        goal: req.body.goal,
+      }),
+    "Equipe atualizada."
+  )
+);
+
+app.post("/challenges/:id/equipes/:teamId/excluir", requireAuth, requireCreator, (req, res) =>
+  handleTeamAction(
+    req,
+    res,
+    () => deleteTeam(req.challenge, Number(req.params.teamId)),
+    "Equipe excluída. Os membros ficaram sem equipe."
+  )
+);
+
+app.post("/challenges/:id/equipe", requireAuth, (req, res) => {
   const challengeId = Number(req.params.id);
-  const challenge = db
-    .prepare("SELECT id, creator_id FROM challenges WHERE id = ?")
-    .get(challengeId);
+  const challenge = challengeRepo.findById(challengeId);
   if (!challenge) {
     addFlash(req, "error", "Desafio não encontrado.");
     return res.redirect("/dashboard");
   }
-  if (challenge.creator_id !== req.session.userId) {
-    addFlash(req, "error", "Você não pode encerrar este desafio.");
-    return res.redirect(`/challenges/${challengeId}`);
-  }
-  db.prepare("UPDATE challenges SET status = 'closed' WHERE id = ?").run(
-    challengeId
+  return handleParticipantAction(
+    req,
+    res,
+    () => joinTeam(challenge, req.session.userId, Number(req.body.team_id) || null),
+    "Sua equipe foi atualizada."
   );
-  addFlash(req, "success", "Desafio encerrado.");
-  return res.redirect("/perfil");
 });
 
-app.post("/challenges/:id/excluir", requireAuth, (req, res) => {
+app.post("/challenges/:id/sair", requireAuth, (req, res) => {
   const challengeId = Number(req.params.id);
-  const challenge = db
-    .prepare("SELECT id, creator_id FROM challenges WHERE id = ?")
-    .get(challengeId);
+  const challenge = challengeRepo.findById(challengeId);
   if (!challenge) {
     addFlash(req, "error", "Desafio não encontrado.");
     return res.redirect("/dashboard");
   }
-  if (challenge.creator_id !== req.session.userId) {
-    addFlash(req, "error", "Você não pode excluir este desafio.");
+
+  try {
+    leaveChallenge(challenge, req.session.userId);
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, err.status === 409 ? "info" : "error", err.message);
     return res.redirect(`/challenges/${challengeId}`);
   }
+  addFlash(req, "success", "Você saiu do desafio.");
+  return res.redirect("/dashboard");
+});
+
+app.get("/challenges/:id/feed", requireAuth, requireMember, (req, res) => {
+  const page = Math.max(Number(req.query.pagina) || 1, 1);
+  const challenge = req.challenge;
+  res.render("challenge_feed", {
+    title: `Feed - ${challenge.title}`,
+    challenge,
+    feed: getFeed(challenge.id, req.session.userId, { page }),
+    page,
+    reviewLabels: REVIEW_LABELS,
+    canReview: challenge.creator_id === req.session.userId || req.session.role === "admin",
+    canModerate:
+      req.session.role === "admin" || isOrganizer(req.session.userId, challenge),
+  });
+});
+
+// Feed forms send the page they were on so the redirect lands back there.
+function handleFeedAction(req, res, action, successMessage) {
+  const page = Number(req.body.pagina);
+  const target = page
+    ? `/challenges/${req.challenge.id}/feed?pagina=${page}`
+    : `/challenges/${req.challenge.id}`;
+  const anchor = req.params.logId ? `#log-${Number(req.params.logId)}` : "#feed";
+  try {
+    action();
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, err.status === 409 ? "info" : "error", err.message);
+    return res.redirect(`${target}${anchor}`);
+  }
+  if (successMessage) {
+    addFlash(req, "success", successMessage);
+  }
+  return res.redirect(`${target}${anchor}`);
+}
 
-  const transaction = db.transaction((id) => {
-    db.prepare("DELETE FROM exercise_logs WHERE challenge_id = ?").run(id);
-    db.prepare("DELETE FROM challenge_participants WHERE challenge_id = ?").run(
-      id
+app.post("/challenges/:id/feed/:logId/reagir", requireAuth, requireMember, (req, res) => {
+  return handleFeedAction(req, res, () => {
+    toggleReaction(req.challenge, req.params.logId, req.session.userId, req.body.emoji);
+  });
+});
+
+app.post("/challenges/:id/feed/:logId/comentar", requireAuth, requireMember, (req, res) => {
+  return handleFeedAction(
+    req,
+    res,
+    () => addComment(req.challenge, req.params.logId, req.session.userId, req.body.body),
+    "Comentário publicado."
+  );
+});
+
+app.post(
+  "/challenges/:id/feed/comentarios/:commentId/excluir",
+  requireAuth,
+  requireMember,
+  (req, res) => {
+    const canModerate =
+      req.session.role === "admin" || isOrganizer(req.session.userId, req.challenge);
+    return handleFeedAction(
+      req,
+      res,
+      () => deleteComment(req.challenge, req.params.commentId, req.session.userId, canModerate),
+      "Comentário excluído."
     );
-    db.prepare("DELETE FROM challenges WHERE id = ?").run(id);
+  }
+);
+
+app.post("/challenges/:id/feed/:logId/revisar", requireAuth, requireCreator, (req, res) => {
+  const status = req.body.status === "ok" ? null : req.body.status;
+  const messages = {
+    flagged: "Registro marcado como suspeito; ele continua contando até ser rejeitado.",
+    rejected: "Registro rejeitado; ele não conta mais no ranking.",
+  };
+  return handleFeedAction(
+    req,
+    res,
+    () => reviewLog(req.challenge, req.params.logId, req.session.userId, status, req.body.note),
+    messages[status] || "Registro liberado e contando no ranking."
+  );
+});
+
+app.get("/challenges/:id/estatisticas", requireAuth, requireOrganizer, (req, res) => {
+  const requested = Number(req.query.inatividade);
+  const inactiveDays = Number.isInteger(requested) && requested > 0 ? Math.min(requested, 90) : 7;
+  res.render("challenge_stats", {
+    title: `Estatísticas - ${req.challenge.title}`,
+    challenge: req.challenge,
+    stats: getChallengeAnalytics(req.challenge, { inactiveDays }),
+    scoreUnit: scoreLabel(req.challenge),
   });
+});
+
+app.get("/challenges/:id/exportar.json", requireAuth, requireCreator, (req, res) => {
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="desafio-${req.challenge.id}-${getLocalDateString()}.json"`
+  );
+  return res.json(getChallengeExport(req.challenge));
+});
+
+app.get("/challenges/:id/exportar/:dataset.csv", requireAuth, requireCreator, (req, res) => {
+  const { dataset } = req.params;
+  if (!CHALLENGE_DATASETS[dataset]) {
+    addFlash(req, "error", "Exportação não encontrada.");
+    return res.redirect(`/challenges/${req.challenge.id}`);
+  }
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="desafio-${req.challenge.id}-${dataset}-${getLocalDateString()}.csv"`
+  );
+  return res.send(getChallengeCsv(req.challenge, dataset));
+});
+
+app.get("/challenges/:id/auditoria", requireAuth, requireOrganizer, (req, res) => {
+  res.render("challenge_audit", {
+    title: `Alterações - ${req.challenge.title}`,
+    challenge: req.challenge,
+    entries: getChallengeAudit(req.challenge.id),
+  });
+});
+
+app.get("/challenges/:id/editar", requireAuth, requireCreator, (req, res) => {
+  res.render("edit_challenge", {
+    title: `Editar - ${req.challenge.title}`,
+    challenge: req.challenge,
+    today: getLocalDateString(),
+  });
+});
+
+app.post("/challenges/:id/editar", requireAuth, requireCreator, (req, res) => {
+  const challengeId = req.challenge.id;
+  const form = parseChallengeForm(req.body);
+  if (form.error) {
+    addFlash(req, "error", form.error);
+    return res.redirect(`/challenges/${challengeId}/editar`);
+  }
+
+  let changes;
+  try {
+    changes = updateChallengeSettings(req.challenge, form.values, req.session.userId);
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, err.status === 409 ? "info" : "error", err.message);
+    return res.redirect(`/challenges/${challengeId}/editar`);
+  }
+
+  if (!changes.length) {
+    addFlash(req, "info", "Nenhuma alteração para salvar.");
+  } else {
+    addFlash(req, "success", "Desafio atualizado.");
+  }
+  return res.redirect(`/challenges/${challengeId}`);
+});
+
+app.post("/challenges/:id/reabrir", requireAuth, requireCreator, (req, res) => {
+  const challengeId = req.challenge.id;
+  try {
+    reopenChallenge(req.challenge, req.body.end_date, req.session.userId);
+  } catch (err) {
+    if (!(err instanceof ChallengeError)) {
+      throw err;
+    }
+    addFlash(req, err.status === 409 ? "info" : "error", err.message);
+    return res.redirect(`/challenges/${challengeId}/editar`);
+  }
+  addFlash(req, "success", "Desafio reaberto.");
+  return res.redirect(`/challenges/${challengeId}`);
+});
+
+app.post("/challenges/:id/encerrar", requireAuth, requireCreator, (req, res) => {
+  if (req.challenge.status === "closed") {
+    addFlash(req, "info", "Este desafio já está encerrado.");
+    return res.redirect(`/challenges/${req.challenge.id}`);
+  }
+  closeChallenge(req.challenge);
+  addFlash(req, "success", "Desafio encerrado.");
+  return res.redirect("/perfil");
+});
 
-  transaction(challengeId);
+app.post("/challenges/:id/excluir", requireAuth, requireCreator, (req, res) => {
+  challengeRepo.remove(req.challenge.id);
   addFlash(req, "success", "Desafio excluído.");
   return res.redirect("/dashboard");
 });
 
 app.listen(PORT, () => {
   console.log(`Servidor rodando em http://localhost:${PORT}`);
+  startLifecycleScheduler();
+  startDigestScheduler();
+  startBackupScheduler();
 });
@@ -0,0 +1,137 @@
+const { db } = require("./db");
+const { getSessionCookie } = require("./security");
+
+// The session store (sessions.db or the Postgres `session` table) only knows
+// session ids; user_sessions maps them to accounts so users can list their
+// signed-in browsers and end them, and admins can sign someone out everywhere.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const BROWSERS = [
+  ["Edg/", "Edge"],
+  ["OPR/", "Opera"],
+  ["Firefox/", "Firefox"],
+  ["Chrome/", "Chrome"],
+  ["Safari/", "Safari"],
+  ["curl/", "curl"],
+];
+const SYSTEMS = [
+  ["Android", "Android"],
+  ["iPhone", "iPhone"],
+  ["iPad", "iPad"],
+  ["Windows", "Windows"],
+  ["Mac OS X", "macOS"],
+  ["Linux", "Linux"],
+];
+
+function describeDevice(userAgent = "") {
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker));
+  const system = SYSTEMS.find(([marker]) => userAgent.includes(marker));
+  if (!browser && !system) {
+    return "Dispositivo desconhecido";
+  }
+  return [browser ? browser[1] : "Navegador", system ? `em ${system[1]}` : null].filter(Boolean).join(" ");
+}
+
+// Called right after sign-in, once the session id is final. Rows idle for
+// longer than the cookie lifetime are dropped on the way.
+function trackSession(req) {
+  const now = new Date();
+  db.prepare("DELETE FROM user_sessions WHERE last_seen_at < ?").run(
+    new Date(now.getTime() - getSessionCookie().maxAge).toISOString()
+  );
+  db.prepare(
+    `INSERT INTO user_sessions (sid, user_id, user_agent, ip, created_at, last_seen_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT (sid) DO NOTHING`
+  ).run(
+    req.sessionID,
+    req.session.userId,
+    (req.get("user-agent") || "").slice(0, 300),
+    req.ip,
+    now.toISOString(),
+    now.toISOString()
+  );
+  req.session.tracked = true;
+}
+
+// False once the session was ended from another browser or by an admin.
+// Sessions signed in before tracking existed are adopted on first use.
+function touchSession(req) {
+  const row = db
+    .prepare("SELECT id, user_id, last_seen_at FROM user_sessions WHERE sid = ?")
+    .get(req.sessionID);
+  if (!row) {
+    if (req.session.tracked) {
+      return false;
+    }
+    trackSession(req);
+    return true;
+  }
+  if (row.user_id !== req.session.userId) {
+    return false;
+  }
+  if (Date.now() - Date.parse(row.last_seen_at) > TOUCH_INTERVAL_MS) {
+    db.prepare("UPDATE user_sessions SET last_seen_at = ?, ip = ? WHERE id = ?").run(
+      new Date().toISOString(),
+      req.ip,
+      row.id
+    );
+  }
+  return true;
+}
+
+function listUserSessions(userId, currentSid) {
+  return db
+    .prepare(
+      `SELECT id, sid, user_agent, ip, created_at, last_seen_at FROM user_sessions
+       WHERE user_id = ?
+       ORDER BY last_seen_at DESC`
+    )
+    .all(userId)
+    .map(({ sid, ...row }) => ({
+      ...row,
+      device: describeDevice(row.user_agent || ""),
+      current: sid === currentSid,
+    }));
+}
+
+function destroyStoredSession(store, sid) {
+  return new Promise((resolve) => {
+    store.destroy(sid, (err) => {
+      if (err) {
+        console.error("[sessions] Falha ao encerrar sessão:", err);
+      }
+      resolve();
+    });
+  });
+}
+
+async function revokeSession(store, userId, sessionId) {
+  const row = db
+    .prepare("SELECT sid FROM user_sessions WHERE id = ? AND user_id = ?")
+    .get(sessionId, userId);
+  if (!row) {
+    return false;
+  }
+  db.prepare("DELETE FROM user_sessions WHERE id = ?").run(sessionId);
+  await destroyStoredSession(store, row.sid);
+  return true;
+}
+
+// Ends every session of the user except `except` (usually the caller's own).
+async function revokeUserSessions(store, userId, { except = "" } = {}) {
+  const rows = db
+    .prepare("SELECT sid FROM user_sessions WHERE user_id = ? AND sid != ?")
+    .all(userId, except || "");
+  db.prepare("DELETE FROM user_sessions WHERE user_id = ? AND sid != ?").run(userId, except || "");
+  await Promise.all(rows.map((row) => destroyStoredSession(store, row.sid)));
+  return rows.length;
+}
+
+module.exports = {
+  trackSession,
+  touchSession,
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,115 @@
+const { db } = require("./db");
+const { getLocalDateString } = require("./dates");
+const { ChallengeError } = require("./challenges");
+
+const SETTING_LABELS = {
+  title: "Nome",
+  description: "Descrição",
+  start_date: "Data início",
+  end_date: "Data fim",
+  goal_count: "Meta",
+  group_goal: "Meta do grupo",
+  prize: "Prêmio",
+  penalty: "Penalidade",
+  status: "Situação",
+};
+
+function recordChallengeChange(challengeId, actorId, action, changes) {
+  db.prepare(
+    `INSERT INTO challenge_changes (challenge_id, actor_id, action, changes_json, created_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).run(challengeId, actorId, action, JSON.stringify(changes), new Date().toISOString());
+}
+
+function assertLogsWithin(challenge, startDate, endDate) {
+  const outside = db
+    .prepare(
+      `SELECT COUNT(*) AS total FROM exercise_logs
+       WHERE challenge_id = ? AND (substr(logged_on, 1, 10) < ? OR substr(logged_on, 1, 10) > ?)`
+    )
+    .get(challenge.id, startDate, endDate).total;
+  if (outside) {
+    throw new ChallengeError(
+      `Existem ${outside} registro(s) fora do novo período. Ajuste as datas ou remova os registros antes.`
+    );
+  }
+}
+
+// Applies the edit form and logs a field-by-field diff that participants can
+// see on the challenge page. Returns the list of changes (empty if nothing
+// changed).
+function updateChallengeSettings(challenge, values, actorId) {
+  if (challenge.status === "closed") {
+    throw new ChallengeError("Reabra o desafio antes de editá-lo.", 409);
+  }
+
+  const changes = Object.keys(values)
+    .filter((field) => (challenge[field] ?? null) !== (values[field] ?? null))
+    .map((field) => ({ field, before: challenge[field] ?? null, after: values[field] ?? null }));
+  if (!changes.length) {
+    return changes;
+  }
+
+  assertLogsWithin(challenge, values.start_date, values.end_date);
+
+  const fields = changes.map((change) => change.field);
+  db.transaction(() => {
+    db.prepare(
+      `UPDATE challenges SET ${fields.map((field) => `${field} = ?`).join(", ")} WHERE id = ?`
+    ).run(...fields.map((field) => values[field]), challenge.id);
+    recordChallengeChange(challenge.id, actorId, "edit", changes);
+  })();
+  return changes;
+}
+
+// Reopening discards the frozen results; they are taken again on the next close.
+function reopenChallenge(challenge, endDate, actorId) {
+  if (challenge.status !== "closed") {
+    throw new ChallengeError("Este desafio não está encerrado.", 409);
+  }
+  if (challenge.archived_at) {
+    throw new ChallengeError("Os registros deste desafio foram arquivados; ele não pode ser reaberto.", 409);
+  }
+  const newEndDate = endDate || challenge.end_date;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(newEndDate) || newEndDate < getLocalDateString()) {
+    throw new ChallengeError("Informe uma nova data fim a partir de hoje para reabrir.");
+  }
+  if (newEndDate < challenge.start_date) {
+    throw new ChallengeError("A data fim não pode ser anterior à data início.");
+  }
+
+  const changes = [{ field: "status", before: "closed", after: "active" }];
+  if (newEndDate !== challenge.end_date) {
+    changes.push({ field: "end_date", before: challenge.end_date, after: newEndDate });
+  }
+
+  db.transaction(() => {
+    db.prepare(
+      "UPDATE challenges SET status = 'active', closed_at = NULL, end_date = ? WHERE id = ?"
+    ).run(newEndDate, challenge.id);
+    db.prepare("DELETE FROM challenge_results WHERE challenge_id = ?").run(challenge.id);
+    db.prepare("DELETE FROM challenge_snapshots WHERE challenge_id = ?").run(challenge.id);
+    recordChallengeChange(challenge.id, actorId, "reopen", changes);
+  })();
+}
+
+function getChallengeChanges(challengeId, limit = 20) {
+  return db
+    .prepare(
+      `SELECT ch.*, u.name AS actor_name
+       FROM challenge_changes ch
+       LEFT JOIN users u ON u.id = ch.actor_id
+       WHERE ch.challenge_id = ?
+       ORDER BY ch.created_at DESC, ch.id DESC
+       LIMIT ?`
+    )
+    .all(challengeId, limit)
+    .map((row) => ({ ...row, changes: JSON.parse(row.changes_json) }));
+}
+
+module.exports = {
+  SETTING_LABELS,
+  updateChallengeSettings,
+  reopenChallenge,
+  getChallengeChanges,
+};
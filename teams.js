@@ -0,0 +1,171 @@
+const { db } = require("./db");
+const { ChallengeError, isParticipant } = require("./challenges");
+
+const TEAM_SCORING = {
+  sum: "Soma dos membros",
+  average: "Média por membro",
+};
+
+function getTeams(challengeId) {
+  return db
+    .prepare(
+      `SELECT t.*,
+        (SELECT COUNT(*) FROM challenge_participants cp WHERE cp.team_id = t.id) AS member_count
+       FROM challenge_teams t
+       WHERE t.challenge_id = ?
+       ORDER BY t.name ASC`
+    )
+    .all(challengeId);
+}
+
+function findTeam(challengeId, teamId) {
+  const team = db
+    .prepare("SELECT * FROM challenge_teams WHERE id = ? AND challenge_id = ?")
+    .get(teamId, challengeId);
+  if (!team) {
+    throw new ChallengeError("Equipe não encontrada.", 404);
+  }
+  return team;
+}
+
+function parseTeamFields({ name, goal }) {
+  const teamName = String(name || "").trim();
+  if (!teamName) {
+    throw new ChallengeError("Informe o nome da equipe.");
+  }
+  const teamGoal = goal === undefined || goal === null || goal === "" ? null : Number(goal);
+  if (teamGoal !== null && !(Number.isInteger(teamGoal) && teamGoal > 0)) {
+    throw new ChallengeError("A meta da equipe deve ser um número inteiro positivo.");
+  }
+  return { name: teamName, goal: teamGoal };
+}
+
+function assertUniqueName(challengeId, name, exceptId = null) {
+  const clash = db
+    .prepare(
+      "SELECT id FROM challenge_teams WHERE challenge_id = ? AND lower(name) = lower(?) AND id IS DISTINCT FROM ?"
+    )
+    .get(challengeId, name, exceptId);
+  if (clash) {
+    throw new ChallengeError("Já existe uma equipe com esse nome.", 409);
+  }
+}
+
+function createTeam(challenge, fields) {
+  const { name, goal } = parseTeamFields(fields);
+  assertUniqueName(challenge.id, name);
+  const result = db
+    .prepare(
+      "INSERT INTO challenge_teams (challenge_id, name, goal, created_at) VALUES (?, ?, ?, ?)"
+    )
+    .run(challenge.id, name, goal, new Date().toISOString());
+  return result.lastInsertRowid;
+}
+
+function updateTeam(challenge, teamId, fields) {
+  const team = findTeam(challenge.id, teamId);
+  const { name, goal } = parseTeamFields(fields);
+  assertUniqueName(challenge.id, name, team.id);
+  db.prepare("UPDATE challenge_teams SET name = ?, goal = ? WHERE id = ?").run(
+    name,
+    goal,
+    team.id
+  );
+}
+
+// Members of a deleted team stay in the challenge without a team.
+function deleteTeam(challenge, teamId) {
+  const team = findTeam(challenge.id, teamId);
+  db.transaction(() => {
+    db.prepare("UPDATE challenge_participants SET team_id = NULL WHERE team_id = ?").run(team.id);
+    db.prepare("DELETE FROM challenge_teams WHERE id = ?").run(team.id);
+  })();
+}
+
+function assignTeam(challenge, userId, teamId) {
+  if (teamId) {
+    findTeam(challenge.id, teamId);
+  }
+  const result = db
+    .prepare("UPDATE challenge_participants SET team_id = ? WHERE user_id = ? AND challenge_id = ?")
+    .run(teamId || null, userId, challenge.id);
+  if (!result.changes) {
+    throw new ChallengeError("Este usuário não participa do desafio.", 404);
+  }
+}
+
+// Self-service version of assignTeam, only while the creator allows it.
+function joinTeam(challenge, userId, teamId) {
+  if (challenge.status === "closed") {
+    throw new ChallengeError("Este desafio está encerrado.", 409);
+  }
+  if (!challenge.team_self_join) {
+    throw new ChallengeError("As equipes deste desafio são definidas pelo organizador.", 403);
+  }
+  if (!isParticipant(userId, challenge.id)) {
+    throw new ChallengeError("Você não participa deste desafio.", 403);
+  }
+  assignTeam(challenge, userId, teamId);
+}
+
+function setTeamSettings(challenge, { scoring, selfJoin }) {
+  if (!TEAM_SCORING[scoring]) {
+    throw new ChallengeError("Opção inválida.");
+  }
+  db.prepare("UPDATE challenges SET team_scoring = ?, team_self_join = ? WHERE id = ?").run(
+    scoring,
+    selfJoin ? 1 : 0,
+    challenge.id
+  );
+}
+
+// Builds the team ranking from an individual leaderboard (rows carry team_id).
+// "total" is always the members' sum, which is what team goals are measured
+// against; "score" is what the ranking is ordered by.
+function getTeamLeaderboard(challenge, leaderboard, teams = getTeams(challenge.id)) {
+  return teams
+    .map((team) => {
+      const members = leaderboard.filter((row) => row.team_id === team.id);
+      const total = Math.round(members.reduce((sum, row) => sum + row.total, 0) * 100) / 100;
+      const score =
+        challenge.team_scoring === "average" && members.length
+          ? Math.round((total / members.length) * 100) / 100
+          : total;
+      return {
+        id: team.id,
+        name: team.name,
+        goal: team.goal,
+        members: members.length,
+        total,
+        score,
+        progress: team.goal ? Math.min(Math.round((total / team.goal) * 100), 100) : null,
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+// Target for the group progress bar: an explicit group_goal wins, then the sum
+// of team goals, then everyone hitting the individual goal.
+function getGroupTarget(challenge, participantCount, teams = getTeams(challenge.id)) {
+  if (challenge.group_goal) {
+    return challenge.group_goal;
+  }
+  const teamGoals = teams.reduce((sum, team) => sum + (team.goal || 0), 0);
+  if (teamGoals) {
+    return teamGoals;
+  }
+  return challenge.goal_count * Math.max(participantCount, 1);
+}
+
+module.exports = {
+  TEAM_SCORING,
+  getTeams,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  assignTeam,
+  joinTeam,
+  setTeamSettings,
+  getTeamLeaderboard,
+  getGroupTarget,
+};
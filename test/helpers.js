@@ -0,0 +1,55 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Points DB_PATH at a throwaway SQLite file. Call before requiring anything
+// that loads db.js, which opens the database on require.
+function useTempDb(name) {
+  const file = path.join(os.tmpdir(), `katello-${name}-${process.pid}.db`);
+  fs.rmSync(file, { force: true });
+  process.env.DB_PATH = file;
+  return {
+    file,
+    cleanup() {
+      fs.rmSync(file, { force: true });
+    },
+  };
+}
+
+let sequence = 0;
+
+function createUser(db, { name = "Pessoa", verified = true } = {}) {
+  sequence += 1;
+  const now = new Date().toISOString();
+  return db
+    .prepare(
+      "INSERT INTO users (name, email, password_hash, created_at, email_verified_at) VALUES (?, ?, 'x', ?, ?)"
+    )
+    .run(`${name} ${sequence}`, `pessoa${sequence}@exemplo.com`, now, verified ? now : null).lastInsertRowid;
+}
+
+function createChallenge(db, creatorId, fields = {}) {
+  const challenge = {
+    title: "Desafio",
+    start_date: "2020-01-01",
+    end_date: "2099-12-31",
+    goal_count: 10,
+    ...fields,
+  };
+  const id = db
+    .prepare(
+      `INSERT INTO challenges (title, creator_id, start_date, end_date, goal_count, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      challenge.title,
+      creatorId,
+      challenge.start_date,
+      challenge.end_date,
+      challenge.goal_count,
+      new Date().toISOString()
+    ).lastInsertRowid;
+  return db.prepare("SELECT * FROM challenges WHERE id = ?").get(id);
+}
+
+module.exports = { useTempDb, createUser, createChallenge };
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { useTempDb } = require("./helpers");
+
+const tempDb = useTempDb("migrations");
+const { db, openSqlite } = require("../db");
+const { migrate, rollback, getMigrationStatus } = require("../migrate");
+
+const file = `${tempDb.file}-schema`;
+let target;
+
+test.beforeEach(() => {
+  fs.rmSync(file, { force: true });
+  target = openSqlite(file);
+});
+
+test.afterEach(() => target.close());
+
+test.after(() => {
+  db.close();
+  tempDb.cleanup();
+  fs.rmSync(file, { force: true });
+});
+
+const tables = (handle) =>
+  handle
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+    .all()
+    .map((row) => row.name);
+
+const columns = (handle, table) => handle.pragma(`table_info(${table})`).map((column) => column.name);
+
+test("every migration goes up, down to the baseline and up again", () => {
+  const versions = fs
+    .readdirSync(`${__dirname}/../migrations`)
+    .filter((name) => /^\d+_\w+\.js$/.test(name))
+    .map((name) => Number(name.split("_")[0]));
+
+  assert.deepStrictEqual(
+    migrate(target).map((migration) => migration.version),
+    versions
+  );
+  const schema = tables(target);
+  assert.ok(schema.includes("challenge_removals"));
+  assert.ok(columns(target, "challenge_digest_deliveries").includes("next_attempt_at"));
+  assert.deepStrictEqual(migrate(target), []);
+
+  const reverted = rollback(target, { to: 1 });
+  assert.deepStrictEqual(
+    reverted.map((migration) => migration.version),
+    versions.slice(1).reverse()
+  );
+  assert.ok(!tables(target).includes("challenge_removals"));
+  assert.ok(!tables(target).includes("challenge_digest_deliveries"));
+  assert.ok(!columns(target, "challenges").includes("archived_at"));
+
+  migrate(target);
+  assert.deepStrictEqual(tables(target), schema);
+  assert.ok(getMigrationStatus(target).every((migration) => migration.appliedAt));
+});
+
+test("the baseline cannot be rolled back", () => {
+  migrate(target, { to: 1 });
+  assert.throws(() => rollback(target), /não pode ser desfeita/);
+  assert.ok(getMigrationStatus(target)[0].appliedAt);
+});
+
+test("logs from before activity types get an amount, type and unit", () => {
+  migrate(target, { to: 8 });
+  const now = new Date().toISOString();
+  const userId = target
+    .prepare("INSERT INTO users (name, email, password_hash, created_at) VALUES ('Ana', 'ana@exemplo.com', 'x', ?)")
+    .run(now).lastInsertRowid;
+  const challengeId = target
+    .prepare(
+      `INSERT INTO challenges (title, creator_id, start_date, end_date, goal_count, created_at)
+       VALUES ('Antigo', ?, '2023-01-01', '2023-12-31', 10, ?)`
+    )
+    .run(userId, now).lastInsertRowid;
+  const insertLog = target.prepare(
+    `INSERT INTO exercise_logs (user_id, challenge_id, count, activity, logged_on, created_at)
+     VALUES (?, ?, 1, ?, '2023-05-01', ?)`
+  );
+  ["corrida ", "Yoga", "Pular corda"].forEach((activity) => insertLog.run(userId, challengeId, activity, now));
+
+  migrate(target);
+  assert.deepStrictEqual(
+    target
+      .prepare(
+        `SELECT e.activity, t.name AS type, e.amount, e.unit
+         FROM exercise_logs e LEFT JOIN activity_types t ON t.id = e.activity_type_id
+         ORDER BY e.id`
+      )
+      .all(),
+    [
+      { activity: "corrida ", type: "Corrida", amount: 1, unit: "km" },
+      { activity: "Yoga", type: "Yoga", amount: 1, unit: "minutes" },
+      { activity: "Pular corda", type: null, amount: 1, unit: null },
+    ]
+  );
+});
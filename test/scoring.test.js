@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { useTempDb } = require("./helpers");
+
+const tempDb = useTempDb("scoring");
+const { scoreLogs, scoreLabel } = require("../scoring");
+
+test.after(() => tempDb.cleanup());
+
+const log = (logged_on, fields = {}) => ({
+  user_id: 1,
+  activity_type_id: 1,
+  amount: 1,
+  unit: "km",
+  logged_on,
+  ...fields,
+});
+
+const challenge = (fields = {}) => ({
+  scoring_mode: "total",
+  metric: "workouts",
+  scoring_config: null,
+  ...fields,
+});
+
+test("total counts workouts or sums the metric's unit", () => {
+  const logs = [
+    log("2024-03-04", { amount: 5.25 }),
+    log("2024-03-04", { amount: 2.5 }),
+    log("2024-03-05", { amount: 30, unit: "minutes" }),
+  ];
+  assert.strictEqual(scoreLogs(challenge(), logs), 3);
+  assert.strictEqual(scoreLogs(challenge({ metric: "km" }), logs), 7.75);
+  assert.strictEqual(scoreLogs(challenge({ metric: "minutes" }), logs), 30);
+  assert.strictEqual(scoreLogs(challenge({ metric: "steps" }), logs), 0);
+});
+
+test("daily counts distinct days", () => {
+  const logs = [log("2024-03-04"), log("2024-03-04T18:00:00"), log("2024-03-06")];
+  assert.strictEqual(scoreLogs(challenge({ scoring_mode: "daily" }), logs), 2);
+});
+
+test("points uses the per-type table and falls back to the default", () => {
+  const config = JSON.stringify({ points: { 1: 3 }, defaultPoints: 2 });
+  const logs = [log("2024-03-04"), log("2024-03-05", { activity_type_id: 2 })];
+  assert.strictEqual(scoreLogs(challenge({ scoring_mode: "points", scoring_config: config }), logs), 5);
+});
+
+test("streak adds the bonus for each full run of consecutive days", () => {
+  const days = ["2024-03-01", "2024-03-02", "2024-03-03", "2024-03-04", "2024-03-05", "2024-03-06", "2024-03-07"];
+  const streak = challenge({ scoring_mode: "streak" });
+  assert.strictEqual(scoreLogs(streak, days.map((day) => log(day))), 7 + 3);
+  assert.strictEqual(scoreLogs(streak, days.filter((day) => day !== "2024-03-04").map((day) => log(day))), 6);
+});
+
+test("weekly counts weeks that reach the minimum of days", () => {
+  // 2024-03-04 is a Monday.
+  const logs = ["2024-03-04", "2024-03-05", "2024-03-06", "2024-03-11", "2024-03-12"].map((day) => log(day));
+  const weekly = challenge({ scoring_mode: "weekly" });
+  assert.strictEqual(scoreLogs(weekly, logs), 1);
+  assert.strictEqual(
+    scoreLogs({ ...weekly, scoring_config: JSON.stringify({ minDaysPerWeek: 2 }) }, logs),
+    2
+  );
+});
+
+test("invalid scoring config falls back to the defaults", () => {
+  const logs = [log("2024-03-04"), log("2024-03-05")];
+  assert.strictEqual(scoreLogs(challenge({ scoring_mode: "points", scoring_config: "{" }), logs), 2);
+});
+
+test("labels follow the mode, then the metric", () => {
+  assert.strictEqual(scoreLabel(challenge()), "treinos");
+  assert.strictEqual(scoreLabel(challenge({ metric: "km" })), "km");
+  assert.strictEqual(scoreLabel(challenge({ scoring_mode: "weekly" })), "semanas");
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { useTempDb } = require("./helpers");
+
+const tempDb = useTempDb("security");
+const { db, initDb } = require("../db");
+const {
+  getCsrfToken,
+  verifyCsrfToken,
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../security");
+
+initDb();
+test.after(() => {
+  db.close();
+  tempDb.cleanup();
+});
+
+function fakeRequest({ session = {}, body = {}, query = {}, headers = {}, multipart = false } = {}) {
+  return {
+    session,
+    body,
+    query,
+    is: (type) => (multipart && type === "multipart/form-data" ? type : false),
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+test("CSRF: the session token is created once and must come back", () => {
+  const session = {};
+  const token = getCsrfToken(fakeRequest({ session }));
+  assert.match(token, /^[0-9a-f]{64}$/);
+  assert.strictEqual(getCsrfToken(fakeRequest({ session })), token);
+
+  assert.ok(verifyCsrfToken(fakeRequest({ session, body: { _csrf: token } })));
+  assert.ok(verifyCsrfToken(fakeRequest({ session, headers: { "x-csrf-token": token } })));
+  assert.ok(!verifyCsrfToken(fakeRequest({ session })));
+  assert.ok(!verifyCsrfToken(fakeRequest({ session, body: { _csrf: token.replace(/.$/, "x") } })));
+  assert.ok(!verifyCsrfToken(fakeRequest({ session, body: { _csrf: [token] } })));
+  assert.ok(!verifyCsrfToken(fakeRequest({ body: { _csrf: token } })));
+});
+
+test("CSRF: multipart forms send the token in the query string", () => {
+  const session = {};
+  const token = getCsrfToken(fakeRequest({ session }));
+  assert.ok(verifyCsrfToken(fakeRequest({ session, multipart: true, query: { _csrf: token } })));
+  assert.ok(!verifyCsrfToken(fakeRequest({ session, multipart: true, body: { _csrf: token } })));
+});
+
+test("CSRF: multibyte input of the same length is refused without throwing", () => {
+  const session = {};
+  const token = getCsrfToken(fakeRequest({ session }));
+  const sent = "é".repeat(token.length);
+  assert.strictEqual(verifyCsrfToken(fakeRequest({ session, body: { _csrf: sent } })), false);
+});
+
+test("login throttle locks an account after repeated failures", () => {
+  const email = "alvo@exemplo.com";
+  for (let attempt = 0; attempt < 4; attempt += 1) {
+    recordLoginFailure(email, `10.0.0.${attempt}`);
+  }
+  assert.strictEqual(getLoginLock(email, "10.0.1.1"), 0);
+
+  recordLoginFailure(email, "10.0.0.9");
+  const minutes = getLoginLock(email, "10.0.1.1");
+  assert.ok(minutes >= 1 && minutes <= 15, `locked for ${minutes} minute(s)`);
+  // The window has passed.
+  assert.strictEqual(getLoginLock(email, "10.0.1.1", Date.now() + 16 * 60 * 1000), 0);
+
+  clearLoginFailures(email);
+  assert.strictEqual(getLoginLock(email, "10.0.1.1"), 0);
+});
+
+test("login throttle locks an IP trying many accounts", () => {
+  for (let attempt = 0; attempt < 20; attempt += 1) {
+    recordLoginFailure(`conta${attempt}@exemplo.com`, "192.0.2.7");
+  }
+  assert.ok(getLoginLock("nova@exemplo.com", "192.0.2.7") >= 1);
+  assert.strictEqual(getLoginLock("nova@exemplo.com", "192.0.2.8"), 0);
+});
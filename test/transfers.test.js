@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { useTempDb, createUser, createChallenge } = require("./helpers");
+
+const tempDb = useTempDb("transfers");
+const { db, initDb } = require("../db");
+const { ChallengeError, addParticipant, isParticipant } = require("../challenges");
+const { previewLogImport, importLogs } = require("../transfers");
+
+initDb();
+test.after(() => {
+  db.close();
+  tempDb.cleanup();
+});
+
+const creatorId = createUser(db);
+const memberId = createUser(db);
+const outsiderId = createUser(db);
+const unverifiedId = createUser(db, { verified: false });
+const challenge = createChallenge(db, creatorId, { start_date: "2024-01-01", end_date: "2024-12-31" });
+addParticipant(creatorId, challenge.id);
+addParticipant(memberId, challenge.id);
+
+const emailOf = (id) => db.prepare("SELECT email FROM users WHERE id = ?").get(id).email;
+const csv = (rows) => ["email;data;atividade;quantidade", ...rows.map((row) => row.join(";"))].join("\n");
+
+test("preview validates each row without writing", () => {
+  const member = emailOf(memberId);
+  const { rows, accepted, rejected } = previewLogImport(
+    challenge.id,
+    csv([
+      [member, "04/03/2024", "corrida", "5,5"],
+      [member, "2024-03-05", "Yoga", "30"],
+      [member, "2024-03-05", "Yoga", "30"],
+      ["ninguem@exemplo.com", "2024-03-05", "Yoga", "30"],
+      [member, "ontem", "Yoga", "30"],
+      [member, "2023-12-31", "Yoga", "30"],
+      [member, "2024-03-05", "Paraquedismo", "1"],
+      [member, "2024-03-05", "Yoga", "-1"],
+      [emailOf(outsiderId), "2024-03-05", "Yoga", "30"],
+    ])
+  );
+
+  assert.strictEqual(accepted.length, 2);
+  assert.deepStrictEqual(
+    accepted.map((row) => [row.line, row.date, row.activityName, row.amountValue, row.unit]),
+    [
+      [2, "2024-03-04", "Corrida", 5.5, "km"],
+      [3, "2024-03-05", "Yoga", 30, "minutes"],
+    ]
+  );
+  assert.deepStrictEqual(
+    rejected.map((row) => row.reason),
+    [
+      "Registro duplicado",
+      "Usuário não encontrado",
+      "Data inválida (use AAAA-MM-DD ou DD/MM/AAAA)",
+      "Fora do período do desafio (2024-01-01 a 2024-12-31)",
+      "Tipo de atividade desconhecido",
+      "Quantidade inválida",
+      "Usuário não participa do desafio",
+    ]
+  );
+  assert.strictEqual(rows.length, 9);
+  assert.strictEqual(db.prepare("SELECT COUNT(*) AS total FROM exercise_logs").get().total, 0);
+});
+
+test("missing columns and closed challenges are refused", () => {
+  assert.throws(
+    () => previewLogImport(challenge.id, "email,data\na@b.com,2024-03-04"),
+    (err) => err instanceof ChallengeError && /atividade, quantidade/.test(err.message)
+  );
+  const closed = createChallenge(db, creatorId);
+  db.prepare("UPDATE challenges SET status = 'closed' WHERE id = ?").run(closed.id);
+  assert.throws(
+    () => previewLogImport(closed.id, csv([])),
+    (err) => err instanceof ChallengeError && err.status === 409
+  );
+});
+
+test("import writes the accepted rows and adds verified people when asked", () => {
+  const rows = [
+    [emailOf(memberId), "2024-03-06", "Flexões", "20"],
+    [emailOf(outsiderId), "2024-03-06", "Caminhada", "3"],
+    [emailOf(unverifiedId), "2024-03-06", "Caminhada", "3"],
+  ];
+  const preview = importLogs(challenge.id, csv(rows), { addMissing: true });
+
+  assert.strictEqual(preview.accepted.length, 2);
+  assert.deepStrictEqual(
+    preview.rejected.map((row) => row.reason),
+    ["Usuário com e-mail não confirmado"]
+  );
+  assert.ok(isParticipant(outsiderId, challenge.id));
+  assert.ok(!isParticipant(unverifiedId, challenge.id));
+  assert.deepStrictEqual(
+    db
+      .prepare("SELECT user_id, activity, amount, unit FROM exercise_logs WHERE challenge_id = ? ORDER BY id")
+      .all(challenge.id),
+    [
+      { user_id: memberId, activity: "Flexões", amount: 20, unit: "reps" },
+      { user_id: outsiderId, activity: "Caminhada", amount: 3, unit: "km" },
+    ]
+  );
+
+  // Re-sending the same file only finds duplicates.
+  assert.strictEqual(importLogs(challenge.id, csv(rows), { addMissing: true }).accepted.length, 0);
+});
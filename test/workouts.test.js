@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { useTempDb } = require("./helpers");
+
+const tempDb = useTempDb("workouts");
+const { ChallengeError } = require("../challenges");
+const { parseWorkoutFile } = require("../workouts");
+
+test.after(() => tempDb.cleanup());
+
+const parse = (filename, content) =>
+  parseWorkoutFile({ filename, data: Buffer.isBuffer(content) ? content : Buffer.from(content) });
+
+// 0.01 degree of longitude on the equator.
+const STEP_KM = 1.1119492664455872;
+
+test("GPX: measures every segment, including points with self-closing children", () => {
+  const { format, workouts } = parse(
+    "treino.gpx",
+    `<?xml version="1.0"?>
+    <gpx version="1.1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+      <trk>
+        <name>Corrida matinal</name>
+        <trkseg>
+          <trkpt lat="0" lon="0"><extensions><gpxtpx:hr v="120"/></extensions><time>2024-03-04T10:00:00Z</time></trkpt>
+          <trkpt lat="0" lon="0.01"/>
+          <trkpt lat="0" lon="0.02"><time>2024-03-04T10:10:00Z</time></trkpt>
+        </trkseg>
+        <trkseg>
+          <trkpt lat="0" lon="0.05"><time>2024-03-04T10:20:00Z</time></trkpt>
+          <trkpt lat="0" lon="0.06"><time>2024-03-04T10:30:00Z</time></trkpt>
+        </trkseg>
+      </trk>
+    </gpx>`
+  );
+  assert.strictEqual(format, "gpx");
+  assert.strictEqual(workouts.length, 1);
+  assert.strictEqual(workouts[0].sport, "running");
+  assert.strictEqual(workouts[0].startedAt, "2024-03-04T10:00:00.000Z");
+  assert.strictEqual(workouts[0].durationSeconds, 1800);
+  assert.ok(Math.abs(workouts[0].distanceKm - 3 * STEP_KM) < 1e-6);
+});
+
+test("TCX: prefers lap totals and falls back to the track points", () => {
+  const lap = (totals) => `
+    <Lap StartTime="2024-03-04T07:00:00Z">
+      ${totals}
+      <Track>
+        <Trackpoint><Time>2024-03-04T07:00:00Z</Time>
+          <Position><LatitudeDegrees>0</LatitudeDegrees><LongitudeDegrees>0</LongitudeDegrees></Position></Trackpoint>
+        <Trackpoint><Time>2024-03-04T07:05:00Z</Time>
+          <Position><LatitudeDegrees>0</LatitudeDegrees><LongitudeDegrees>0.01</LongitudeDegrees></Position></Trackpoint>
+      </Track>
+    </Lap>`;
+  const tcx = (totals) =>
+    `<TrainingCenterDatabase><Activities><Activity Sport="Biking"><Id>2024-03-04T07:00:00Z</Id>${lap(
+      totals
+    )}</Activity></Activities></TrainingCenterDatabase>`;
+
+  const withTotals = parse("pedal.tcx", tcx("<TotalTimeSeconds>600</TotalTimeSeconds><DistanceMeters>4000</DistanceMeters>"));
+  assert.strictEqual(withTotals.format, "tcx");
+  assert.deepStrictEqual(withTotals.workouts, [
+    { sport: "cycling", startedAt: "2024-03-04T07:00:00Z", durationSeconds: 600, distanceKm: 4 },
+  ]);
+
+  const [fromPoints] = parse("pedal.tcx", tcx("")).workouts;
+  assert.strictEqual(fromPoints.durationSeconds, 300);
+  assert.ok(Math.abs(fromPoints.distanceKm - STEP_KM) < 1e-6);
+});
+
+// A minimal FIT file: one definition and one session message (global 18)
+// with start time, elapsed time, distance and sport.
+function buildFit({ start, elapsedMs, distanceCm, sport }) {
+  const definition = Buffer.from([
+    0x40, 0, 0, 18, 0, 4,
+    2, 4, 0x86,
+    8, 4, 0x86,
+    9, 4, 0x86,
+    5, 1, 0x00,
+  ]);
+  const record = Buffer.alloc(14);
+  record.writeUInt8(0x00, 0);
+  record.writeUInt32LE(start, 1);
+  record.writeUInt32LE(elapsedMs, 5);
+  record.writeUInt32LE(distanceCm, 9);
+  record.writeUInt8(sport, 13);
+  const data = Buffer.concat([definition, record]);
+
+  const header = Buffer.alloc(14);
+  header.writeUInt8(14, 0);
+  header.writeUInt8(0x10, 1);
+  header.writeUInt16LE(2093, 2);
+  header.writeUInt32LE(data.length, 4);
+  header.write(".FIT", 8, "ascii");
+  return Buffer.concat([header, data, Buffer.alloc(2)]);
+}
+
+test("FIT: reads the session messages", () => {
+  // 2024-03-04T10:00:00Z in seconds since the FIT epoch.
+  const start = Date.parse("2024-03-04T10:00:00Z") / 1000 - 631065600;
+  const { format, workouts } = parse(
+    "nado.fit",
+    buildFit({ start, elapsedMs: 1800 * 1000, distanceCm: 150000, sport: 5 })
+  );
+  assert.strictEqual(format, "fit");
+  assert.deepStrictEqual(workouts, [
+    { sport: "swimming", startedAt: "2024-03-04T10:00:00.000Z", durationSeconds: 1800, distanceKm: 1.5 },
+  ]);
+});
+
+test("unknown or empty files are refused", () => {
+  assert.throws(() => parse("notas.txt", "olá"), (err) => err instanceof ChallengeError && /Formato/.test(err.message));
+  assert.throws(() => parse("vazio.gpx", ""), (err) => err instanceof ChallengeError && /corrompido/.test(err.message));
+});
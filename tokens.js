@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+
+const { db } = require("./db");
+
+const TOKEN_PREFIX = "fk_";
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function createApiToken(userId, name) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+  db.prepare(
+    `INSERT INTO api_tokens (user_id, name, token_hash, created_at)
+     VALUES (?, ?, ?, ?)`
+  ).run(userId, name, hashToken(token), new Date().toISOString());
+  return token;
+}
+
+function findApiToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  const row = db
+    .prepare(
+      `SELECT t.id, t.user_id, u.name, u.email, u.role
+       FROM api_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = ? AND t.revoked_at IS NULL`
+    )
+    .get(hashToken(token));
+  if (row) {
+    db.prepare("UPDATE api_tokens SET last_used_at = ? WHERE id = ?").run(
+      new Date().toISOString(),
+      row.id
+    );
+  }
+  return row || null;
+}
+
+function listApiTokens(userId) {
+  return db
+    .prepare(
+      `SELECT id, name, created_at, last_used_at
+       FROM api_tokens
+       WHERE user_id = ? AND revoked_at IS NULL
+       ORDER BY created_at DESC`
+    )
+    .all(userId);
+}
+
+function revokeApiToken(userId, tokenId) {
+  const result = db
+    .prepare(
+      "UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL"
+    )
+    .run(new Date().toISOString(), tokenId, userId);
+  return result.changes > 0;
+}
+
+// Password reset and email verification tokens are single-use: issuing a new
+// one or using any of them invalidates the rest for that user.
+function issueUserToken(table, userId, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlMinutes * 60 * 1000);
+  consumeUserTokens(table, userId);
+  db.prepare(
+    `INSERT INTO ${table} (user_id, token_hash, expires_at, created_at)
+     VALUES (?, ?, ?, ?)`
+  ).run(userId, hashToken(token), expiresAt.toISOString(), now.toISOString());
+  return token;
+}
+
+function findUserToken(table, token) {
+  if (!token) {
+    return null;
+  }
+  return (
+    db
+      .prepare(
+        `SELECT t.id, t.user_id, u.name, u.email
+         FROM ${table} t
+         JOIN users u ON u.id = t.user_id
+         WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > ?`
+      )
+      .get(hashToken(token), new Date().toISOString()) || null
+  );
+}
+
+function consumeUserTokens(table, userId) {
+  db.prepare(`UPDATE ${table} SET used_at = ? WHERE user_id = ? AND used_at IS NULL`).run(
+    new Date().toISOString(),
+    userId
+  );
+}
+
+const createPasswordResetToken = (userId, ttlMinutes) =>
+  issueUserToken("password_resets", userId, ttlMinutes);
+const findPasswordResetToken = (token) => findUserToken("password_resets", token);
+const consumePasswordResetToken = (userId) => consumeUserTokens("password_resets", userId);
+
+const createEmailVerificationToken = (userId, ttlMinutes) =>
+  issueUserToken("email_verifications", userId, ttlMinutes);
+const findEmailVerificationToken = (token) => findUserToken("email_verifications", token);
+const consumeEmailVerificationToken = (userId) =>
+  consumeUserTokens("email_verifications", userId);
+
+module.exports = {
+  createApiToken,
+  findApiToken,
+  listApiTokens,
+  revokeApiToken,
+  createPasswordResetToken,
+  findPasswordResetToken,
+  consumePasswordResetToken,
+  createEmailVerificationToken,
+  findEmailVerificationToken,
+  consumeEmailVerificationToken,
+};
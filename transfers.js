@@ -0,0 +1,319 @@
+const { db } = require("./db");
+const { getLocalDateString } = require("./dates");
+const { toCsv, parseCsv } = require("./csv");
+const {
+  ChallengeError,
+  isParticipant,
+  addParticipant,
+  generateActivityId,
+} = require("./challenges");
+const { getLeaderboard, scoreLabel } = require("./scoring");
+const { checkActivityBadges } = require("./achievements");
+
+const CHALLENGE_DATASETS = {
+  participantes: {
+    label: "Participantes",
+    columns: [
+      { key: "name", label: "nome" },
+      { key: "email", label: "email" },
+      { key: "role", label: "papel" },
+      { key: "team", label: "equipe" },
+      { key: "joined_at", label: "entrou_em" },
+    ],
+  },
+  registros: {
+    label: "Registros",
+    columns: [
+      { key: "logged_on", label: "data" },
+      { key: "name", label: "nome" },
+      { key: "email", label: "email" },
+      { key: "activity", label: "atividade" },
+      { key: "amount", label: "quantidade" },
+      { key: "unit", label: "unidade" },
+      { key: "created_at", label: "registrado_em" },
+    ],
+  },
+  ranking: {
+    label: "Ranking",
+    columns: [
+      { key: "position", label: "posicao" },
+      { key: "name", label: "nome" },
+      { key: "email", label: "email" },
+      { key: "team", label: "equipe" },
+      { key: "total", label: "total" },
+      { key: "unit", label: "unidade" },
+    ],
+  },
+};
+
+const HISTORY_COLUMNS = [
+  { key: "logged_on", label: "data" },
+  { key: "activity", label: "atividade" },
+  { key: "amount", label: "quantidade" },
+  { key: "unit", label: "unidade" },
+  { key: "challenges", label: "desafios" },
+  { key: "created_at", label: "registrado_em" },
+];
+
+// Header aliases accepted by the import, normalized to lowercase without accents.
+const IMPORT_HEADERS = {
+  email: ["email", "e-mail"],
+  date: ["data", "date", "logged_on", "dia"],
+  activity: ["atividade", "activity", "tipo", "exercicio"],
+  amount: ["quantidade", "amount", "valor", "qtd"],
+};
+
+function getChallengeExport(challenge) {
+  const participants = db
+    .prepare(
+      `SELECT u.id, u.name, u.email, cp.role, cp.joined_at, t.name AS team
+       FROM challenge_participants cp
+       JOIN users u ON u.id = cp.user_id
+       LEFT JOIN challenge_teams t ON t.id = cp.team_id
+       WHERE cp.challenge_id = ?
+       ORDER BY u.name ASC`
+    )
+    .all(challenge.id);
+  const byId = new Map(participants.map((person) => [person.id, person]));
+  const unit = scoreLabel(challenge);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    challenge: {
+      id: challenge.id,
+      title: challenge.title,
+      description: challenge.description,
+      start_date: challenge.start_date,
+      end_date: challenge.end_date,
+      goal_count: challenge.goal_count,
+      group_goal: challenge.group_goal,
+      metric: challenge.metric,
+      scoring_mode: challenge.scoring_mode,
+      prize: challenge.prize,
+      penalty: challenge.penalty,
+      status: challenge.status,
+      closed_at: challenge.closed_at,
+    },
+    participants,
+    logs: db
+      .prepare(
+        `SELECT e.logged_on, u.name, u.email, e.activity, e.amount, e.unit, e.created_at
+         FROM exercise_logs e
+         JOIN users u ON u.id = e.user_id
+         JOIN challenge_participants cp ON cp.challenge_id = e.challenge_id AND cp.user_id = e.user_id
+         WHERE e.challenge_id = ?
+         ORDER BY e.logged_on ASC, e.id ASC`
+      )
+      .all(challenge.id),
+    leaderboard: getLeaderboard(challenge).map((row, index) => {
+      const person = byId.get(row.user_id) || {};
+      return {
+        position: index + 1,
+        name: row.name,
+        email: person.email,
+        team: person.team || null,
+        total: row.total,
+        unit,
+      };
+    }),
+  };
+}
+
+function getChallengeCsv(challenge, dataset) {
+  const data = getChallengeExport(challenge);
+  const rows = {
+    participantes: data.participants,
+    registros: data.logs,
+    ranking: data.leaderboard,
+  }[dataset];
+  return toCsv(CHALLENGE_DATASETS[dataset].columns, rows);
+}
+
+// One line per activity (a log written to several challenges is listed once).
+function getUserHistoryCsv(userId) {
+  const rows = db
+    .prepare(
+      `SELECT substr(e.logged_on, 1, 10) AS logged_on, e.activity, e.amount, e.unit,
+        MIN(e.created_at) AS created_at, string_agg(c.title, ' | ') AS challenges
+       FROM exercise_logs e
+       JOIN challenges c ON c.id = e.challenge_id
+       WHERE e.user_id = ?
+       GROUP BY COALESCE(e.activity_id, CAST(e.id AS TEXT)), e.logged_on, e.activity, e.amount, e.unit
+       ORDER BY e.logged_on ASC, created_at ASC`
+    )
+    .all(userId);
+  return toCsv(HISTORY_COLUMNS, rows);
+}
+
+function normalizeHeader(value) {
+  return value
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .toLowerCase();
+}
+
+function parseAmount(value) {
+  const text = String(value || "").replace(/\s/g, "");
+  // "1.234,5" and "1234,5" (pt-BR) as well as "1234.5".
+  const normalized = text.includes(",") ? text.replace(/\./g, "").replace(",", ".") : text;
+  return Number(normalized);
+}
+
+function parseDate(value) {
+  const text = String(value || "").trim();
+  const br = text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return br ? `${br[3]}-${br[2]}-${br[1]}` : text.slice(0, 10);
+}
+
+// Validates every row without writing anything. Rows come back either as
+// "ok" (with the matched user and activity type) or "rejected" with a reason,
+// so the admin can review the preview before confirming.
+function previewLogImport(challengeId, csvText, { addMissing = false } = {}) {
+  const challenge = db.prepare("SELECT * FROM challenges WHERE id = ?").get(challengeId);
+  if (!challenge) {
+    throw new ChallengeError("Escolha o desafio de destino.", 404);
+  }
+  if (challenge.status === "closed") {
+    throw new ChallengeError("Reabra o desafio antes de importar registros.", 409);
+  }
+
+  const [header, ...lines] = parseCsv(csvText);
+  if (!header) {
+    throw new ChallengeError("Cole ou envie um CSV com cabeçalho.");
+  }
+  const normalized = header.map(normalizeHeader);
+  const columnOf = {};
+  Object.entries(IMPORT_HEADERS).forEach(([field, aliases]) => {
+    columnOf[field] = normalized.findIndex((name) => aliases.includes(name));
+  });
+  const missing = Object.keys(columnOf).filter((field) => columnOf[field] === -1);
+  if (missing.length) {
+    throw new ChallengeError(
+      `Colunas obrigatórias ausentes: ${missing
+        .map((field) => IMPORT_HEADERS[field][0])
+        .join(", ")}.`
+    );
+  }
+
+  const today = getLocalDateString();
+  const users = new Map();
+  const findUser = (email) => {
+    if (!users.has(email)) {
+      users.set(
+        email,
+        db.prepare("SELECT id, name, email, email_verified_at FROM users WHERE email = ?").get(email)
+      );
+    }
+    return users.get(email);
+  };
+  const findType = db.prepare("SELECT * FROM activity_types WHERE lower(name) = lower(?)");
+  const findDuplicate = db.prepare(
+    `SELECT id FROM exercise_logs
+     WHERE user_id = ? AND challenge_id = ? AND substr(logged_on, 1, 10) = ?
+       AND activity_type_id = ? AND amount = ?`
+  );
+  const seen = new Set();
+
+  const rows = lines.map((cells, index) => {
+    const raw = {
+      email: (cells[columnOf.email] || "").toLowerCase(),
+      date: parseDate(cells[columnOf.date]),
+      activity: cells[columnOf.activity] || "",
+      amount: cells[columnOf.amount] || "",
+    };
+    const row = { line: index + 2, ...raw, status: "rejected", reason: null };
+    const user = raw.email ? findUser(raw.email) : null;
+    const type = raw.activity ? findType.get(raw.activity) : null;
+    const amount = parseAmount(raw.amount);
+
+    if (!user) {
+      row.reason = raw.email ? "Usuário não encontrado" : "Email em branco";
+    } else if (!/^\d{4}-\d{2}-\d{2}$/.test(raw.date)) {
+      row.reason = "Data inválida (use AAAA-MM-DD ou DD/MM/AAAA)";
+    } else if (raw.date > today) {
+      row.reason = "Data no futuro";
+    } else if (raw.date < challenge.start_date || raw.date > challenge.end_date) {
+      row.reason = `Fora do período do desafio (${challenge.start_date} a ${challenge.end_date})`;
+    } else if (!type) {
+      row.reason = "Tipo de atividade desconhecido";
+    } else if (!Number.isFinite(amount) || amount <= 0) {
+      row.reason = "Quantidade inválida";
+    } else if (!isParticipant(user.id, challenge.id) && !addMissing) {
+      row.reason = "Usuário não participa do desafio";
+    } else if (!isParticipant(user.id, challenge.id) && !user.email_verified_at) {
+      row.reason = "Usuário com e-mail não confirmado";
+    } else {
+      const key = [user.id, raw.date, type.id, amount].join("|");
+      if (seen.has(key) || findDuplicate.get(user.id, challenge.id, raw.date, type.id, amount)) {
+        row.reason = "Registro duplicado";
+      } else {
+        seen.add(key);
+        row.status = "ok";
+      }
+    }
+
+    return {
+      ...row,
+      userId: user ? user.id : null,
+      userName: user ? user.name : null,
+      joins: Boolean(user && row.status === "ok" && !isParticipant(user.id, challenge.id)),
+      activityTypeId: type ? type.id : null,
+      activityName: type ? type.name : raw.activity,
+      unit: type ? type.unit : null,
+      amountValue: amount,
+    };
+  });
+
+  return {
+    challenge,
+    rows,
+    accepted: rows.filter((row) => row.status === "ok"),
+    rejected: rows.filter((row) => row.status === "rejected"),
+  };
+}
+
+// Re-validates the CSV and writes the accepted rows in a single transaction.
+function importLogs(challengeId, csvText, options = {}) {
+  const preview = previewLogImport(challengeId, csvText, options);
+  const { challenge, accepted } = preview;
+  const insertLog = db.prepare(
+    `INSERT INTO exercise_logs
+      (user_id, challenge_id, count, activity, activity_id, activity_type_id, amount, unit, logged_on, created_at)
+     VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?)`
+  );
+
+  db.transaction(() => {
+    const now = new Date().toISOString();
+    accepted.forEach((row) => {
+      if (!isParticipant(row.userId, challenge.id)) {
+        addParticipant(row.userId, challenge.id);
+      }
+      insertLog.run(
+        row.userId,
+        challenge.id,
+        row.activityName,
+        generateActivityId(),
+        row.activityTypeId,
+        row.amountValue,
+        row.unit,
+        row.date,
+        now
+      );
+    });
+  })();
+
+  new Set(accepted.map((row) => row.userId)).forEach((userId) => {
+    checkActivityBadges(userId, [challenge.id]);
+  });
+  return preview;
+}
+
+module.exports = {
+  CHALLENGE_DATASETS,
+  getChallengeExport,
+  getChallengeCsv,
+  getUserHistoryCsv,
+  previewLogImport,
+  importLogs,
+};
@@ -0,0 +1,158 @@
+const crypto = require("crypto");
+
+const { db } = require("./db");
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator,
+// Authy and 1Password: SHA-1, 6 digits, 30-second steps.
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Fitness Katello";
+const STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = "";
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+  let out = "";
+  for (let index = 0; index < bits.length; index += 5) {
+    out += BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+}
+
+function base32Decode(text) {
+  const bits = text
+    .toUpperCase()
+    .replace(/[^A-Z2-7]/g, "")
+    .split("")
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0"))
+    .join("");
+  const bytes = [];
+  for (let index = 0; index + 8 <= bits.length; index += 8) {
+    bytes.push(parseInt(bits.slice(index, index + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, "0");
+}
+
+// Accepts the previous and next step as well, for phones whose clock drifts.
+// Returns the matching step, or null.
+function matchTotp(secret, code, now = Date.now()) {
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  const match = [current - 1, current, current + 1].find((step) =>
+    crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(code))
+  );
+  return match === undefined ? null : match;
+}
+
+function getOtpAuthUrl(secret, email) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const issuer = encodeURIComponent(TOTP_ISSUER);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=6&period=${STEP_SECONDS}`;
+}
+
+async function renderQrSvg(text) {
+  const QRCode = require("qrcode");
+  return QRCode.toString(text, { type: "svg", margin: 1, width: 200 });
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+// Replaces any previous codes. Returned in clear once; only hashes are kept.
+function createRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare("DELETE FROM recovery_codes WHERE user_id = ?").run(userId);
+    const insert = db.prepare(
+      "INSERT INTO recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)"
+    );
+    codes.forEach((code) => insert.run(userId, hashRecoveryCode(code), now));
+  })();
+  return codes;
+}
+
+function countRecoveryCodes(userId) {
+  return db
+    .prepare("SELECT COUNT(*) AS total FROM recovery_codes WHERE user_id = ? AND used_at IS NULL")
+    .get(userId).total;
+}
+
+// Turns 2FA on once the user proves the authenticator app has the secret.
+function enableTwoFactor(userId, secret, code) {
+  const cleaned = String(code || "").trim();
+  const step = /^\d{6}$/.test(cleaned) ? matchTotp(secret, cleaned) : null;
+  if (step === null) {
+    return { error: "Código inválido. Confira o horário do celular e tente de novo." };
+  }
+  db.prepare(
+    "UPDATE users SET totp_secret = ?, totp_enabled_at = ?, totp_last_step = ? WHERE id = ?"
+  ).run(secret, new Date().toISOString(), step, userId);
+  return { recoveryCodes: createRecoveryCodes(userId) };
+}
+
+function disableTwoFactor(userId) {
+  db.transaction(() => {
+    db.prepare(
+      "UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?"
+    ).run(userId);
+    db.prepare("DELETE FROM recovery_codes WHERE user_id = ?").run(userId);
+  })();
+}
+
+// Checks a 6-digit app code or an unused recovery code. Returns "totp" or
+// "recovery" on success and null otherwise; both kinds work only once.
+function verifySecondFactor(userId, input) {
+  const user = db
+    .prepare("SELECT totp_secret, totp_last_step FROM users WHERE id = ? AND totp_enabled_at IS NOT NULL")
+    .get(userId);
+  const code = String(input || "").replace(/\s/g, "");
+  if (!user || !code) {
+    return null;
+  }
+
+  if (/^\d{6}$/.test(code)) {
+    const step = matchTotp(user.totp_secret, code);
+    if (step === null || (user.totp_last_step !== null && step <= user.totp_last_step)) {
+      return null;
+    }
+    db.prepare("UPDATE users SET totp_last_step = ? WHERE id = ?").run(step, userId);
+    return "totp";
+  }
+
+  const used = db
+    .prepare(
+      "UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL"
+    )
+    .run(new Date().toISOString(), userId, hashRecoveryCode(code));
+  return used.changes ? "recovery" : null;
+}
+
+module.exports = {
+  generateTotpSecret,
+  getOtpAuthUrl,
+  renderQrSvg,
+  createRecoveryCodes,
+  countRecoveryCodes,
+  enableTwoFactor,
+  disableTwoFactor,
+  verifySecondFactor,
+};
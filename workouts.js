@@ -0,0 +1,407 @@
+const { db } = require("./db");
+const { getLocalDateString } = require("./dates");
+const { UNIT_LABELS } = require("./scoring");
+const { ChallengeError, logActivity } = require("./challenges");
+
+const WORKOUT_FORMATS = ["gpx", "tcx", "fit"];
+const MAX_WORKOUT_FILES = 10;
+
+// Activity types (by catalog name) that GPS sports are logged as.
+const SPORT_TYPES = {
+  running: "Corrida",
+  walking: "Caminhada",
+  cycling: "Ciclismo",
+  swimming: "Natação",
+};
+
+// FIT "sport" enum values we know how to map.
+const FIT_SPORTS = { 1: "running", 2: "cycling", 5: "swimming", 11: "walking", 17: "walking" };
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z).
+const FIT_EPOCH_OFFSET = 631065600;
+
+function detectSport(text) {
+  const value = String(text || "").toLowerCase();
+  if (/run|corr/.test(value)) {
+    return "running";
+  }
+  if (/walk|hik|camin/.test(value)) {
+    return "walking";
+  }
+  if (/bik|cycl|ride|cicl|pedal/.test(value)) {
+    return "cycling";
+  }
+  if (/swim|nata/.test(value)) {
+    return "swimming";
+  }
+  return null;
+}
+
+function haversineKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+function getTag(xml, tag) {
+  const match = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`).exec(xml);
+  return match ? decodeXml(match[1]) : null;
+}
+
+function getBlocks(xml, tag) {
+  return xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[\\s\\S]*?</(?:\\w+:)?${tag}>`, "g")) || [];
+}
+
+function getAttribute(element, name) {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(element);
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Distance and first/last timestamps over lists of points; segments are not
+// joined to each other (a paused recording should not add a straight line).
+function measureSegments(segments) {
+  let distanceKm = 0;
+  let first = null;
+  let last = null;
+  segments.forEach((points) => {
+    points.forEach((point, index) => {
+      if (index > 0 && Number.isFinite(point.lat) && Number.isFinite(points[index - 1].lat)) {
+        distanceKm += haversineKm(points[index - 1], point);
+      }
+      if (point.time) {
+        first = first && first < point.time ? first : point.time;
+        last = last && last > point.time ? last : point.time;
+      }
+    });
+  });
+  return {
+    distanceKm,
+    startedAt: first ? first.toISOString() : null,
+    durationSeconds: first && last ? Math.round((last - first) / 1000) : 0,
+  };
+}
+
+function parsePoint(element) {
+  const time = getTag(element, "time") || getTag(element, "Time");
+  const date = time ? new Date(time) : null;
+  const lat = getAttribute(element, "lat") || getTag(element, "LatitudeDegrees");
+  const lon = getAttribute(element, "lon") || getTag(element, "LongitudeDegrees");
+  return {
+    lat: lat === null ? NaN : Number(lat),
+    lon: lon === null ? NaN : Number(lon),
+    time: date && !Number.isNaN(date.getTime()) ? date : null,
+  };
+}
+
+function parseGpx(xml) {
+  return getBlocks(xml, "trk").map((track) => {
+    // A point is either a self-closing <trkpt .../> or runs to its </trkpt>,
+    // past any self-closing elements inside (e.g. in <extensions>).
+    const segments = getBlocks(track, "trkseg").map((segment) =>
+      (segment.match(/<(?:\w+:)?trkpt\b(?:[^>]*\/>|[^>]*>[\s\S]*?<\/(?:\w+:)?trkpt>)/g) || []).map(parsePoint)
+    );
+    const measured = measureSegments(segments);
+    return {
+      sport: detectSport(getTag(track, "type")) || detectSport(getTag(track, "name")),
+      ...measured,
+      startedAt: measured.startedAt || getTag(getTag(xml, "metadata") || "", "time"),
+    };
+  });
+}
+
+function parseTcx(xml) {
+  return getBlocks(xml, "Activity").map((activity) => {
+    const laps = getBlocks(activity, "Lap");
+    // Lap totals are more accurate than anything recomputed from the points;
+    // the points are only used when a device leaves them out.
+    const lapTotals = laps.map((lap) => lap.replace(/<Track\b[\s\S]*?<\/Track>/g, ""));
+    const seconds = lapTotals.reduce((sum, lap) => sum + (Number(getTag(lap, "TotalTimeSeconds")) || 0), 0);
+    const meters = lapTotals.reduce((sum, lap) => sum + (Number(getTag(lap, "DistanceMeters")) || 0), 0);
+    const measured = measureSegments(
+      getBlocks(activity, "Track").map((track) => getBlocks(track, "Trackpoint").map(parsePoint))
+    );
+    const firstLap = laps.length ? getAttribute(laps[0], "StartTime") : null;
+    return {
+      sport: detectSport(getAttribute(activity, "Sport")),
+      startedAt: getTag(activity, "Id") || firstLap || measured.startedAt,
+      durationSeconds: seconds ? Math.round(seconds) : measured.durationSeconds,
+      distanceKm: meters ? meters / 1000 : measured.distanceKm,
+    };
+  });
+}
+
+function readFitValue(buffer, offset, size, baseType, littleEndian) {
+  switch (baseType & 0x1f) {
+    case 0x00:
+    case 0x02:
+    case 0x0a:
+      return size === 1 ? buffer.readUInt8(offset) : null;
+    case 0x04:
+    case 0x0b:
+      return size === 2 ? (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset)) : null;
+    case 0x06:
+    case 0x0c:
+      return size === 4 ? (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset)) : null;
+    default:
+      return null;
+  }
+}
+
+// Reads the session messages of a FIT activity file (one per sport recorded).
+// Falls back to the first and last record when a device writes no session.
+function parseFit(buffer) {
+  const headerSize = buffer.readUInt8(0);
+  const dataEnd = Math.min(headerSize + buffer.readUInt32LE(4), buffer.length);
+  const definitions = {};
+  const sessions = [];
+  const records = [];
+  let sport = null;
+  let offset = headerSize;
+
+  while (offset < dataEnd) {
+    const header = buffer.readUInt8(offset);
+    offset += 1;
+
+    if (!(header & 0x80) && header & 0x40) {
+      const littleEndian = buffer.readUInt8(offset + 1) === 0;
+      const global = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+      const fieldCount = buffer.readUInt8(offset + 4);
+      offset += 5;
+      const fields = [];
+      for (let i = 0; i < fieldCount; i += 1, offset += 3) {
+        fields.push({
+          num: buffer.readUInt8(offset),
+          size: buffer.readUInt8(offset + 1),
+          baseType: buffer.readUInt8(offset + 2),
+        });
+      }
+      let devSize = 0;
+      if (header & 0x20) {
+        const devCount = buffer.readUInt8(offset);
+        offset += 1;
+        for (let i = 0; i < devCount; i += 1, offset += 3) {
+          devSize += buffer.readUInt8(offset + 1);
+        }
+      }
+      definitions[header & 0x0f] = { global, littleEndian, fields, devSize };
+      continue;
+    }
+
+    // Compressed-timestamp headers keep the local type in bits 5-6.
+    const definition = definitions[header & 0x80 ? (header >> 5) & 0x03 : header & 0x0f];
+    if (!definition) {
+      throw new ChallengeError("Arquivo FIT inválido.");
+    }
+    const values = {};
+    definition.fields.forEach((field) => {
+      values[field.num] = readFitValue(buffer, offset, field.size, field.baseType, definition.littleEndian);
+      offset += field.size;
+    });
+    offset += definition.devSize;
+
+    if (definition.global === 18) {
+      sessions.push(values);
+    } else if (definition.global === 20) {
+      records.push(values);
+    } else if (definition.global === 12 && values[0] !== undefined) {
+      sport = values[0];
+    }
+  }
+
+  const valid = (value, invalid) => (value === null || value === undefined || value === invalid ? null : value);
+  const toIso = (value) => new Date((value + FIT_EPOCH_OFFSET) * 1000).toISOString();
+
+  if (sessions.length) {
+    return sessions.map((session) => {
+      const start = valid(session[2], 0xffffffff) ?? valid(session[253], 0xffffffff);
+      const elapsed = valid(session[8], 0xffffffff) ?? valid(session[7], 0xffffffff);
+      const distance = valid(session[9], 0xffffffff);
+      return {
+        sport: FIT_SPORTS[valid(session[5], 0xff) ?? sport] || null,
+        startedAt: start === null ? null : toIso(start),
+        durationSeconds: elapsed === null ? 0 : Math.round(elapsed / 1000),
+        distanceKm: distance === null ? 0 : distance / 100000,
+      };
+    });
+  }
+
+  const timed = records.filter((record) => valid(record[253], 0xffffffff) !== null);
+  if (!timed.length) {
+    return [];
+  }
+  const first = timed[0];
+  const last = timed[timed.length - 1];
+  const distance = valid(last[5], 0xffffffff);
+  return [
+    {
+      sport: FIT_SPORTS[sport] || null,
+      startedAt: toIso(first[253]),
+      durationSeconds: last[253] - first[253],
+      distanceKm: distance === null ? 0 : distance / 100000,
+    },
+  ];
+}
+
+function parseWorkoutFile({ filename, data }) {
+  const extension = (filename.split(".").pop() || "").toLowerCase();
+  const isFit = data.length > 12 && data.toString("ascii", 8, 12) === ".FIT";
+  if (isFit) {
+    return { format: "fit", workouts: parseFit(data) };
+  }
+
+  const text = data.toString("utf8");
+  if (/<gpx\b/i.test(text)) {
+    return { format: "gpx", workouts: parseGpx(text) };
+  }
+  if (/<TrainingCenterDatabase\b/.test(text)) {
+    return { format: "tcx", workouts: parseTcx(text) };
+  }
+  throw new ChallengeError(
+    WORKOUT_FORMATS.includes(extension) ? "Arquivo corrompido ou vazio." : "Formato não suportado (use GPX, TCX ou FIT)."
+  );
+}
+
+function resolveWorkoutType(sport, activityTypeId) {
+  if (activityTypeId) {
+    return db.prepare("SELECT * FROM activity_types WHERE id = ?").get(Number(activityTypeId));
+  }
+  if (!SPORT_TYPES[sport]) {
+    return null;
+  }
+  return db.prepare("SELECT * FROM activity_types WHERE lower(name) = lower(?)").get(SPORT_TYPES[sport]);
+}
+
+function workoutAmount(workout, unit) {
+  if (unit === "km") {
+    return Math.round(workout.distanceKm * 100) / 100;
+  }
+  if (unit === "minutes") {
+    return Math.round(workout.durationSeconds / 60);
+  }
+  return 0;
+}
+
+// A workout is a duplicate when the same recording was imported before (start
+// time within a minute) or a manual log for the same day and activity has
+// roughly the same amount.
+function findDuplicate(userId, type, day, startedAt, amount) {
+  const logs = db
+    .prepare(
+      `SELECT DISTINCT activity_id, started_at, activity_type_id, amount FROM exercise_logs
+       WHERE user_id = ? AND substr(logged_on, 1, 10) = ?`
+    )
+    .all(userId, day);
+  const start = new Date(startedAt).getTime();
+  return logs.some((log) => {
+    if (log.started_at) {
+      return Math.abs(new Date(log.started_at).getTime() - start) <= 60 * 1000;
+    }
+    return log.activity_type_id === type.id && Math.abs(log.amount - amount) <= amount * 0.05;
+  });
+}
+
+// Parses each uploaded file and logs its workouts in every open challenge the
+// user joined, like a manual log on /atividades. Problems are collected per
+// workout instead of aborting the whole upload.
+function importWorkoutFiles(userId, files, { activityTypeId = null } = {}) {
+  if (!files.length) {
+    throw new ChallengeError("Escolha ao menos um arquivo GPX, TCX ou FIT.");
+  }
+  if (files.length > MAX_WORKOUT_FILES) {
+    throw new ChallengeError(`Envie no máximo ${MAX_WORKOUT_FILES} arquivos por vez.`);
+  }
+
+  const imported = [];
+  const skipped = [];
+  const badges = [];
+  const skip = (filename, reason) => skipped.push({ filename, reason });
+
+  files.forEach((file) => {
+    let parsed;
+    try {
+      parsed = parseWorkoutFile(file);
+    } catch (err) {
+      // Truncated files make the binary reader run past the buffer.
+      if (!(err instanceof ChallengeError) && !(err instanceof RangeError)) {
+        throw err;
+      }
+      skip(file.filename, err instanceof ChallengeError ? err.message : "Arquivo FIT inválido.");
+      return;
+    }
+    if (!parsed.workouts.length) {
+      skip(file.filename, "Nenhum treino encontrado no arquivo.");
+      return;
+    }
+
+    parsed.workouts.forEach((workout) => {
+      const startedAt = workout.startedAt ? new Date(workout.startedAt) : null;
+      if (!startedAt || Number.isNaN(startedAt.getTime())) {
+        skip(file.filename, "O arquivo não informa a data do treino.");
+        return;
+      }
+      const type = resolveWorkoutType(workout.sport, activityTypeId);
+      if (!type) {
+        skip(file.filename, "Não foi possível identificar a atividade; escolha o tipo no formulário.");
+        return;
+      }
+      const amount = workoutAmount(workout, type.unit);
+      if (!(amount > 0)) {
+        skip(
+          file.filename,
+          `O arquivo não tem ${type.unit === "km" ? "distância" : "duração"} para registrar em ${UNIT_LABELS[type.unit]}.`
+        );
+        return;
+      }
+      const day = getLocalDateString(startedAt);
+      if (findDuplicate(userId, type, day, startedAt.toISOString(), amount)) {
+        skip(file.filename, `${type.name} de ${day} já está registrada.`);
+        return;
+      }
+
+      try {
+        const result = logActivity(userId, {
+          activityTypeId: type.id,
+          amount,
+          loggedOn: day,
+          track: {
+            source: parsed.format,
+            startedAt: startedAt.toISOString(),
+            durationSeconds: workout.durationSeconds || null,
+            distanceKm: workout.distanceKm ? Math.round(workout.distanceKm * 1000) / 1000 : null,
+          },
+        });
+        imported.push({ filename: file.filename, ...result });
+        badges.push(...result.badges);
+      } catch (err) {
+        if (!(err instanceof ChallengeError)) {
+          throw err;
+        }
+        skip(file.filename, err.message);
+      }
+    });
+  });
+
+  return { imported, skipped, badges: [...new Set(badges)] };
+}
+
+module.exports = {
+  WORKOUT_FORMATS,
+  MAX_WORKOUT_FILES,
+  parseWorkoutFile,
+  importWorkoutFiles,
+};